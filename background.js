@@ -1,5 +1,8 @@
 // Linqly Background Service Worker
 
+// Let content scripts read and write the selection basket kept in session storage
+chrome.storage.session.setAccessLevel({ accessLevel: 'TRUSTED_AND_UNTRUSTED_CONTEXTS' });
+
 // Extension installation/update handler
 chrome.runtime.onInstalled.addListener((details) => {
   if (details.reason === 'install') {
@@ -87,6 +90,58 @@ function setupContextMenus() {
       contexts: ['page'],
       documentUrlPatterns: ['https://*.clio.com/*']
     });
+    chrome.contextMenus.create({
+      id: 'linqly-export-xlsx',
+      title: 'Export Selected Items to Excel',
+      contexts: ['page'],
+      documentUrlPatterns: ['https://*.clio.com/*']
+    });
+    chrome.contextMenus.create({
+      id: 'linqly-export-choose',
+      title: 'Export Selected Items with Column Choices…',
+      contexts: ['page'],
+      documentUrlPatterns: ['https://*.clio.com/*']
+    });
+    chrome.contextMenus.create({
+      id: 'linqly-export-all',
+      title: 'Export All Pages',
+      contexts: ['page'],
+      documentUrlPatterns: ['https://*.clio.com/*']
+    });
+    chrome.contextMenus.create({
+      id: 'linqly-export-all-csv',
+      parentId: 'linqly-export-all',
+      title: 'As CSV',
+      contexts: ['page'],
+      documentUrlPatterns: ['https://*.clio.com/*']
+    });
+    chrome.contextMenus.create({
+      id: 'linqly-export-all-xlsx',
+      parentId: 'linqly-export-all',
+      title: 'As Excel',
+      contexts: ['page'],
+      documentUrlPatterns: ['https://*.clio.com/*']
+    });
+    chrome.contextMenus.create({
+      id: 'linqly-copy-selected',
+      title: 'Copy Selected Items',
+      contexts: ['page'],
+      documentUrlPatterns: ['https://*.clio.com/*']
+    });
+    chrome.contextMenus.create({
+      id: 'linqly-copy-table',
+      parentId: 'linqly-copy-selected',
+      title: 'As Table (Excel, Word, Outlook)',
+      contexts: ['page'],
+      documentUrlPatterns: ['https://*.clio.com/*']
+    });
+    chrome.contextMenus.create({
+      id: 'linqly-copy-markdown',
+      parentId: 'linqly-copy-selected',
+      title: 'As Markdown',
+      contexts: ['page'],
+      documentUrlPatterns: ['https://*.clio.com/*']
+    });
   });
 }
 
@@ -115,7 +170,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   // Handle other message types
   switch (message.type) {
     case 'GET_SETTINGS':
-      chrome.storage.sync.get(['linqly_enabled'], (settings) => {
+      // Return every stored setting; callers merge in their own defaults
+      chrome.storage.sync.get(null, (settings) => {
         sendResponse(settings);
       });
       return true;
@@ -177,5 +233,17 @@ chrome.management.onEnabled.addListener((extensionInfo) => {
 chrome.contextMenus.onClicked.addListener((info, tab) => {
   if (info.menuItemId === 'linqly-export-selected') {
     chrome.tabs.sendMessage(tab.id, { type: 'EXPORT_SELECTED' });
+  } else if (info.menuItemId === 'linqly-export-xlsx') {
+    chrome.tabs.sendMessage(tab.id, { type: 'EXPORT_SELECTED', format: 'xlsx' });
+  } else if (info.menuItemId === 'linqly-export-choose') {
+    chrome.tabs.sendMessage(tab.id, { type: 'OPEN_EXPORT_DIALOG' });
+  } else if (info.menuItemId === 'linqly-export-all-csv') {
+    chrome.tabs.sendMessage(tab.id, { type: 'EXPORT_ALL_PAGES', format: 'csv' });
+  } else if (info.menuItemId === 'linqly-export-all-xlsx') {
+    chrome.tabs.sendMessage(tab.id, { type: 'EXPORT_ALL_PAGES', format: 'xlsx' });
+  } else if (info.menuItemId === 'linqly-copy-table') {
+    chrome.tabs.sendMessage(tab.id, { type: 'COPY_SELECTED', format: 'table' });
+  } else if (info.menuItemId === 'linqly-copy-markdown') {
+    chrome.tabs.sendMessage(tab.id, { type: 'COPY_SELECTED', format: 'markdown' });
   }
 });
\ No newline at end of file
@@ -9,6 +9,9 @@ const featureManager = {
     features: [],
     routeChangeTimeout: null,
     isProcessingRouteChange: false,
+    routeObserver: null,
+    boundHandleRouteChange: null,
+    currentPath: '',
     
     register(feature) {
         if (feature && typeof feature.initialize === 'function') {
@@ -27,7 +30,9 @@ const featureManager = {
             }
         });
         
-        // Initialize modular page modules if available
+        this.watchRoutes();
+        
+        // Initialize the page module registered for this route
         await this.initModularPages();
     },
     
@@ -43,65 +48,7 @@ const featureManager = {
                 return;
             }
             
-            // Initialize Matters page module if available and on Matters page
-            if (window.LinqlyMattersPage && window.LinqlyMattersPage.shouldInitialize()) {
-                try {
-                    console.log('[Linqly] Initializing modular Matters page');
-                    window.LinqlyMattersPage.initialize();
-                } catch (err) {
-                    console.error('[Linqly] Error initializing modular Matters page:', err);
-                }
-            }
-            
-            // Initialize Contacts page module if available and on Contacts page
-            if (window.LinqlyContactsPage && window.LinqlyContactsPage.shouldInitialize()) {
-                try {
-                    console.log('[Linqly] Initializing modular Contacts page');
-                    window.LinqlyContactsPage.initialize();
-                } catch (err) {
-                    console.error('[Linqly] Error initializing modular Contacts page:', err);
-                }
-            }
-            
-            // Initialize Tasks page module if available and on Tasks page
-            if (window.LinqlyTasksPage && window.LinqlyTasksPage.shouldInitialize()) {
-                try {
-                    console.log('[Linqly] Initializing modular Tasks page');
-                    window.LinqlyTasksPage.initialize();
-                } catch (err) {
-                    console.error('[Linqly] Error initializing modular Tasks page:', err);
-                }
-            }
-            
-            // Initialize Activities page module if available and on Activities page
-            if (window.LinqlyActivitiesPage && window.LinqlyActivitiesPage.shouldInitialize()) {
-                try {
-                    console.log('[Linqly] Initializing modular Activities page');
-                    window.LinqlyActivitiesPage.initialize();
-                } catch (err) {
-                    console.error('[Linqly] Error initializing modular Activities page:', err);
-                }
-            }
-            
-            // Initialize Documents page module if available and on Documents page
-            if (window.LinqlyDocumentsPage && window.LinqlyDocumentsPage.shouldInitialize()) {
-                try {
-                    console.log('[Linqly] Initializing modular Documents page');
-                    window.LinqlyDocumentsPage.initialize();
-                } catch (err) {
-                    console.error('[Linqly] Error initializing modular Documents page:', err);
-                }
-            }
-            
-            // Initialize Billing page module if available and on Billing page
-            if (window.LinqlyBillingPage && window.LinqlyBillingPage.shouldInitialize()) {
-                try {
-                    console.log('[Linqly] Initializing modular Billing page');
-                    window.LinqlyBillingPage.initialize();
-                } catch (err) {
-                    console.error('[Linqly] Error initializing modular Billing page:', err);
-                }
-            }
+            LinqlyPageRegistry.activate();
         } catch (error) {
             if (error && error.message && error.message.includes('Extension context invalidated')) {
                 console.warn('[Linqly] Extension context invalidated. Please reload the page to restore extension functionality.');
@@ -111,6 +58,80 @@ const featureManager = {
         }
     },
     
+    /* Single route watcher for features and page modules (Clio is an SPA) */
+    watchRoutes() {
+        if (this.routeObserver) return;
+        
+        console.log('[Linqly] Setting up route observer');
+        this.currentPath = window.location.href;
+        this.boundHandleRouteChange = () => {
+            const path = window.location.href;
+            if (path !== this.currentPath) {
+                console.log(`[Linqly] Route changed from ${this.currentPath} to ${path}`);
+                this.currentPath = path;
+                this.handleRouteChange();
+            }
+        };
+        window.addEventListener('hashchange', this.boundHandleRouteChange);
+        window.addEventListener('popstate', this.boundHandleRouteChange);
+        this.routeObserver = new MutationObserver(this.boundHandleRouteChange);
+        this.routeObserver.observe(document, {
+            childList: true,
+            subtree: true
+        });
+    },
+    
+    /* Stop watching routes, used when the extension is disabled */
+    unwatchRoutes() {
+        if (this.boundHandleRouteChange) {
+            window.removeEventListener('hashchange', this.boundHandleRouteChange);
+            window.removeEventListener('popstate', this.boundHandleRouteChange);
+            this.boundHandleRouteChange = null;
+        }
+        if (this.routeObserver) {
+            this.routeObserver.disconnect();
+            this.routeObserver = null;
+        }
+        if (this.routeChangeTimeout) {
+            clearTimeout(this.routeChangeTimeout);
+            this.routeChangeTimeout = null;
+        }
+        console.log('[Linqly] Cleaned up route observer');
+    },
+    
+    /* Attach or detach each feature for the current route and settings */
+    refreshFeatures() {
+        this.features.forEach(feature => {
+            try {
+                if (feature.shouldInitialize && !feature.shouldInitialize()) {
+                    // Feature should not be on this page, detach it
+                    if (typeof feature.detach === 'function') {
+                        console.log(`[Linqly] Detaching feature ${feature.name} due to route or settings change`);
+                        feature.detach();
+                        // Reset initialization flag when detaching
+                        if (feature.isInitialized !== undefined) {
+                            feature.isInitialized = false;
+                        }
+                    }
+                } else if (feature.shouldInitialize && feature.shouldInitialize()) {
+                    // Feature should be on this page, initialize it if not already
+                    if (typeof feature.initialize === 'function') {
+                        if (!feature.isInitialized) {
+                            console.log(`[Linqly] Initializing feature ${feature.name} due to route or settings change`);
+                            feature.initialize();
+                        } else if (typeof feature.initializeIfNeeded === 'function') {
+                            feature.initializeIfNeeded();
+                        } else {
+                            console.log(`[Linqly] Feature ${feature.name} already initialized`);
+                        }
+                    }
+                }
+            } catch (err) {
+                console.error(`Error refreshing feature: ${feature.name}`, err);
+            }
+        });
+    },
+    
     handleRouteChange() {
         // Prevent multiple simultaneous route change processing
         if (this.isProcessingRouteChange) {
@@ -128,114 +149,12 @@ const featureManager = {
             this.isProcessingRouteChange = true;
             console.log('[Linqly] Processing route change in feature manager...');
             
-            this.features.forEach(feature => {
-                try {
-                    if (feature.shouldInitialize && !feature.shouldInitialize()) {
-                        // Feature should not be on this page, detach it
-                        if (typeof feature.detach === 'function') {
-                            console.log(`[Linqly] Detaching feature ${feature.name} due to route change`);
-                            feature.detach();
-                            // Reset initialization flag when detaching
-                            if (feature.isInitialized !== undefined) {
-                                feature.isInitialized = false;
-                            }
-                        }
-                    } else if (feature.shouldInitialize && feature.shouldInitialize()) {
-                        // Feature should be on this page, initialize it if not already
-                        if (typeof feature.initialize === 'function') {
-                            if (!feature.isInitialized) {
-                                console.log(`[Linqly] Initializing feature ${feature.name} due to route change`);
-                                feature.initialize();
-                            } else {
-                                console.log(`[Linqly] Feature ${feature.name} already initialized`);
-                            }
-                        }
-                    }
-                } catch (err) {
-                    console.error(`Error handling route change for feature: ${feature.name}`, err);
-                }
-            });
+            this.refreshFeatures();
             
-            // Handle modular page modules during route changes
+            // Let the registry swap, keep or re-init the page module for the new route
             console.log('[Linqly] Checking modular pages for route change...');
-            try {
-                const res = await new Promise((resolve) => {
-                    chrome.storage.sync.get({ linqly_enabled: true }, resolve);
-                });
-                
-                if (res.linqly_enabled) {
-                    console.log('[Linqly] Extension is enabled, checking modular pages...');
-                    
-                    // Check and initialize Matters page if needed
-                    if (window.LinqlyMattersPage) {
-                        const shouldInitMatters = window.LinqlyMattersPage.shouldInitialize();
-                        console.log('[Linqly] Matters page should initialize?', shouldInitMatters);
-                        if (shouldInitMatters) {
-                            console.log('[Linqly] Route change: Initializing modular Matters page');
-                            window.LinqlyMattersPage.initialize();
-                        }
-                    }
-                    
-                    // Check and initialize Contacts page if needed
-                    if (window.LinqlyContactsPage) {
-                        const shouldInitContacts = window.LinqlyContactsPage.shouldInitialize();
-                        console.log('[Linqly] Contacts page should initialize?', shouldInitContacts);
-                        if (shouldInitContacts) {
-                            console.log('[Linqly] Route change: Initializing modular Contacts page');
-                            window.LinqlyContactsPage.initialize();
-                        }
-                    }
-                    
-                    // Check and initialize Tasks page if needed
-                    if (window.LinqlyTasksPage) {
-                        const shouldInitTasks = window.LinqlyTasksPage.shouldInitialize();
-                        console.log('[Linqly] Tasks page should initialize?', shouldInitTasks);
-                        if (shouldInitTasks) {
-                            console.log('[Linqly] Route change: Initializing modular Tasks page');
-                            window.LinqlyTasksPage.initialize();
-                        }
-                    }
-                    
-                    // Check and initialize Activities page if needed
-                    if (window.LinqlyActivitiesPage) {
-                        const shouldInitActivities = window.LinqlyActivitiesPage.shouldInitialize();
-                        console.log('[Linqly] Activities page should initialize?', shouldInitActivities);
-                        if (shouldInitActivities) {
-                            console.log('[Linqly] Route change: Initializing modular Activities page');
-                            window.LinqlyActivitiesPage.initialize();
-                        }
-                    }
-                    
-                    // Check and initialize Documents page if needed
-                    if (window.LinqlyDocumentsPage) {
-                        const shouldInitDocuments = window.LinqlyDocumentsPage.shouldInitialize();
-                        console.log('[Linqly] Documents page should initialize?', shouldInitDocuments);
-                        if (shouldInitDocuments) {
-                            console.log('[Linqly] Route change: Initializing modular Documents page');
-                            window.LinqlyDocumentsPage.initialize();
-                        }
-                    }
-                    
-                    // Check and initialize Billing page if needed
-                    if (window.LinqlyBillingPage) {
-                        const shouldInitBilling = window.LinqlyBillingPage.shouldInitialize();
-                        console.log('[Linqly] Billing page should initialize?', shouldInitBilling);
-                        if (shouldInitBilling) {
-                            console.log('[Linqly] Route change: Initializing modular Billing page');
-                            window.LinqlyBillingPage.initialize();
-                        }
-                    }
-                } else {
-                    console.log('[Linqly] Extension is disabled, skipping modular page initialization');
-                }
-            } catch (error) {
-                if (error && error.message && error.message.includes('Extension context invalidated')) {
-                    console.warn('[Linqly] Extension context invalidated. Please reload the page to restore extension functionality.');
-                    this.isProcessingRouteChange = false;
-                    return;
-                }
-                console.error('[Linqly] Error handling modular pages during route change:', error);
-            }
+            await this.initModularPages();
+            LinqlyUtils.notifySelectionChange();
             
             this.isProcessingRouteChange = false;
         }, 100); // 100ms debounce
@@ -243,84 +162,20 @@ const featureManager = {
 };
 
 /**************** Feature: Row Click Selects Checkbox ***************/
-const rowClickSelectFeature = {
+// Built on the shared selection engine; covers the Clio pages without a dedicated module
+const rowClickSelectFeature = LinqlySelectionEngine.create({
     name: 'Row-Click Checkbox Selector',
-    
-    tableBody: null,
-    listener: null,
-    routeObserver: null,
-    currentPath: '',
-    isInitialized: false,
-    lastClickedRow: null,
+    // Runs on every Clio page, most of which have no grid
+    gridOptional: true,
     
     /* Run on Clio dashboard and specific pages */
     shouldInitialize() {
         const href = window.location.href;
         
-        // Check if we're on the Matters page and have the modular module available
-        if ((href.includes('/matters') || href.includes('#/matters')) && 
-            !href.includes('/matters/new') && 
-            !href.includes('/matters/edit') && 
-            !href.includes('/matters/create') &&
-            window.LinqlyMattersPage) {
-            console.log('[Linqly] Matters page detected, using modular approach');
-            return false; // Don't initialize the main feature, let the modular one handle it
-        }
-        
-        // Check if we're on the Contacts page and have the modular module available
-        if ((href.includes('/contacts') || href.includes('#/contacts')) && 
-            !href.includes('/contacts/new') && 
-            !href.includes('/contacts/edit') && 
-            !href.includes('/contacts/create') &&
-            window.LinqlyContactsPage) {
-            console.log('[Linqly] Contacts page detected, using modular approach');
-            return false; // Don't initialize the main feature, let the modular one handle it
-        }
-        
-        // Check if we're on the Tasks page and have the modular module available
-        if ((href.includes('/tasks') || href.includes('#/tasks')) && 
-            !href.includes('/tasks/new') && 
-            !href.includes('/tasks/edit') && 
-            !href.includes('/tasks/create') &&
-            window.LinqlyTasksPage) {
-            console.log('[Linqly] Tasks page detected, using modular approach');
-            return false; // Don't initialize the main feature, let the modular one handle it
-        }
-        
-        // Check if we're on the Activities page and have the modular module available
-        if ((href.includes('/activities') || href.includes('#/activities')) && 
-            !href.includes('/activities/new') && 
-            !href.includes('/activities/edit') && 
-            !href.includes('/activities/create') &&
-            window.LinqlyActivitiesPage) {
-            console.log('[Linqly] Activities page detected, using modular approach');
-            return false; // Don't initialize the main feature, let the modular one handle it
-        }
-        
-        // Check if we're on the new bills page (handled by modular approach)
-        if (href.includes('/bills/new_bills')) {
-            console.log('[Linqly] New bills page detected, using modular approach');
-            return false; // Don't initialize the main feature, let the modular one handle it
-        }
-        
-        // Check if we're on the Billing page and have the modular module available
-        if ((href.includes('/bills') || href.includes('#/bills')) && 
-            !href.includes('/bills/new') && 
-            !href.includes('/bills/edit') && 
-            !href.includes('/bills/create') &&
-            !href.includes('/bills/new_bills') &&
-            window.LinqlyBillingPage) {
-            console.log('[Linqly] Billing page detected, using modular approach');
-            return false; // Don't initialize the main feature, let the modular one handle it
-        }
-        
-        // Check if we're on the Documents page and have the modular module available
-        if ((href.includes('/documents') || href.includes('#/documents')) && 
-            !href.includes('/documents/new') && 
-            !href.includes('/documents/edit') && 
-            !href.includes('/documents/create') &&
-            window.LinqlyDocumentsPage) {
-            console.log('[Linqly] Documents page detected, using modular approach');
+        // Pages with a registered module are handled by the page registry
+        const page = LinqlyPageRegistry.findPage(href);
+        if (page) {
+            console.log(`[Linqly] ${page.name} detected, using modular approach`);
             return false; // Don't initialize the main feature, let the modular one handle it
         }
         
@@ -339,775 +194,100 @@ const rowClickSelectFeature = {
         console.log(`[Linqly] Should initialize for ${href}?`, shouldInit);
         return shouldInit;
     },
-    
-    /* Handle SPA route changes */
-    handleRouteChange() {
-        const newPath = window.location.href;
-        const wasOnSupportedPage = this.shouldInitialize();
-        const isOnSupportedPage = this.shouldInitialize();
-        console.log(`[Linqly] Route changed from ${this.currentPath} to ${newPath}`);
-        this.currentPath = newPath;
-
-        // Always call the feature manager's route change handler first
-        featureManager.handleRouteChange();
-
-        if (isOnSupportedPage) {
-            // On actionable page: ensure everything is initialized and observer is set up
-            console.log('[Linqly] On actionable page, initializing extension');
-            this.detach(); // Full cleanup before re-init
-            this.cleanupRouteObserver(); // Ensure no duplicate observers
-            setTimeout(() => {
-                this.initialize();
-                this.setupRouteObserver();
-                console.log('[Linqly] Extension initialized on actionable page');
-            }, 300);
-        } else {
-            // On unactionable page: fully turn off extension and clean up observers
-            console.log('[Linqly] On unactionable page, turning extension off');
-            this.detach();
-            this.cleanupRouteObserver();
-        }
-        this.lastClickedRow = null;
-    },
-    
-    /* Setup route change detection */
-    setupRouteObserver() {
-        // Only set up observer if on actionable page
-        if (!this.shouldInitialize()) {
-            console.log('[Linqly] Not on actionable page, not setting up route observer');
-            return;
-        }
-        console.log('[Linqly] Setting up route observer');
-        this.cleanupRouteObserver();
-        this.boundHandleRouteChange = this.handleRouteChange.bind(this);
-        window.addEventListener('hashchange', this.boundHandleRouteChange);
-        window.addEventListener('popstate', this.boundHandleRouteChange);
-        this.routeObserver = new MutationObserver(() => {
-            const path = window.location.href;
-            if (path !== this.currentPath) {
-                this.handleRouteChange();
-            }
-        });
-        this.routeObserver.observe(document, {
-            childList: true,
-            subtree: true
-        });
-    },
-    
-    /* Cleanup route observer */
-    cleanupRouteObserver() {
-        if (this.boundHandleRouteChange) {
-            window.removeEventListener('hashchange', this.boundHandleRouteChange);
-            window.removeEventListener('popstate', this.boundHandleRouteChange);
-            this.boundHandleRouteChange = null;
-        }
-        if (this.routeObserver) {
-            this.routeObserver.disconnect();
-            this.routeObserver = null;
-        }
-        console.log('[Linqly] Cleaned up route observer');
-    },
-
-    initializeIfNeeded() {
-        if (!this.shouldInitialize()) {
-            console.log('[Linqly] Not initializing - not on a supported page');
-            this.detach();
-            return;
-        }
-        
-        // Check if we need to reinitialize due to grid content changes or URL changes
-        const currentGridContent = document.querySelector('.k-grid-content');
-        const currentPath = window.location.href;
-        const hasGridContentChanged = !this.tableBody || this.tableBody !== currentGridContent;
-        const hasPathChanged = this.currentPath !== currentPath;
-        
-        // Don't reinitialize if already initialized and nothing has changed
-        if (this.isInitialized && !hasGridContentChanged && !hasPathChanged) {
-            console.log('[Linqly] Already initialized with same content and path, skipping');
-            return;
-        }
-        
-        // If grid content or path has changed, we need to reinitialize
-        if (hasGridContentChanged || hasPathChanged) {
-            console.log('[Linqly] Content or path changed, reinitializing');
-            this.detach(); // This will reset isInitialized to false
-        }
-        
-        this.initialize();
-    },
-    
-    initialize() {
-        console.log('[Linqly] Row-click feature initializing…');
-        
-        // Clean up any existing listeners first
-        this.detach();
-        
-        // Always setup route change detection - this is needed for modular pages
-        if (!this.routeObserver) {
-            this.setupRouteObserver();
-        }
-        
-        // Only proceed with the rest if we should initialize on this page
-        if (!this.shouldInitialize()) {
-            console.log('[Linqly] Not initializing main feature - using modular approach');
-            return;
-        }
-        
-        // Add CSS to prevent text selection during shift+click
-        this.addTextSelectionPreventionCSS();
-        
-        // Function to try attaching the listener
-        const tryAttach = () => {
-            // Try to find the grid content - different selectors for different pages
-            let gridContent = document.querySelector('.k-grid-content');
-            
-            // For Activities page, the grid might be in a different container
-            if (window.location.href.includes('/activities') && !gridContent) {
-                gridContent = document.querySelector('.k-grid .k-grid-content');
-            }
-            
-            if (gridContent) {
-                console.log('[Linqly] Found grid content, attaching listener...');
-                this.tableBody = gridContent; // Store reference to track changes
-                this.attachDelegatedListener(gridContent);
-                this.isInitialized = true;
-                return true;
-            }
-            return false;
-        };
-
-        // Try immediately
-        if (tryAttach()) return;
-
-        // If not found, set up an observer
-        console.log('[Linqly] Grid content not found, setting up observer...');
-        const observer = new MutationObserver((mutations, obs) => {
-            if (tryAttach()) {
-                console.log('[Linqly] Successfully attached via observer');
-                obs.disconnect();
-            }
-        });
-        
-        // Start observing with a wider scope
-        observer.observe(document.documentElement, { 
-            childList: true, 
-            subtree: true 
-        });
-
-        // Also try again after a delay in case the observer misses it
-        setTimeout(() => {
-            if (tryAttach()) {
-                console.log('[Linqly] Successfully attached via timeout');
-                observer.disconnect();
-            }
-        }, 1000);
-        
-        // Clean up observer after a while
-        setTimeout(() => observer.disconnect(), 5000);
-    },
-
-    /* Attach a single delegated click listener to the table body. */
-    attachDelegatedListener(container) {
-        console.log('[Linqly] Attaching delegated listener to grid content');
-        
-        // Clean up any existing listener first
-        if (this.listener) {
-            this.listener();
-            this.listener = null;
-        }
-        
-        // Add mouse event listeners to prevent text selection during shift+click
-        this.addMouseEventListeners(container);
-        
-        // Store reference to bound function for removal
-        const handleClick = (event) => {
-            // Ignore synthetic events triggered by scripts (like Clio's Angular framework)
-            if (!event.isTrusted) {
-                console.log('[Linqly] Ignoring synthetic event (not user-triggered)');
-                return;
-            }
-
-            const selectors = this.getSelectors();
-            const isCheckbox = event.target.matches(selectors.checkbox);
-            const row = event.target.closest(selectors.row);
-
-            // If the click is on a native checkbox, handle shift+click logic here
-            if (isCheckbox && row) {
-                // Prevent text selection during shift-click
-                if (event.shiftKey) {
-                    event.preventDefault();
-                    const gridContainer = container.closest('.k-grid-content, .k-grid-table-wrap, [kendo-grid], .cc-tree-view');
-                    if (gridContainer) {
-                        gridContainer.classList.add('shift-click-active');
-                        setTimeout(() => {
-                            gridContainer.classList.remove('shift-click-active');
-                        }, 1000);
-                    }
-                    if (window.getSelection) {
-                        const selection = window.getSelection();
-                        if (selection.removeAllRanges) {
-                            selection.removeAllRanges();
-                        } else if (selection.empty) {
-                            selection.empty();
-                        }
-                    }
-                }
-                // Shift+click logic
-                if (event.shiftKey && this.lastClickedRow) {
-                    const gridBody = row.closest('tbody');
-                    if (!gridBody) return;
-                    const allRowsInDom = Array.from(gridBody.querySelectorAll(selectors.row));
-                    const visibleRows = allRowsInDom.filter(r => r.offsetParent !== null);
-                    const visibleRowUids = visibleRows.map(r => this.getRowUid(r));
-                    const startUid = this.getRowUid(this.lastClickedRow);
-                    const endUid = this.getRowUid(row);
-                    const startIndex = visibleRowUids.indexOf(startUid);
-                    const endIndex = visibleRowUids.indexOf(endUid);
-                    if (startIndex === -1 || endIndex === -1) return;
-                    const rangeStart = Math.min(startIndex, endIndex);
-                    const rangeEnd = Math.max(startIndex, endIndex);
-                    for (let i = rangeStart; i <= rangeEnd; i++) {
-                        const currentUid = visibleRowUids[i];
-                        if (currentUid === startUid || currentUid === endUid) continue;
-                        const liveRow = gridBody.querySelector(`tr[data-uid="${currentUid}"], tr[data-kendo-uid="${currentUid}"], tr[id="${currentUid}"], tr[data-row-index="${currentUid}"]`)
-                            || Array.from(gridBody.querySelectorAll(selectors.row)).find(r => this.getRowUid(r) === currentUid);
-                        if (liveRow) {
-                            const checkboxInRange = liveRow.querySelector(selectors.checkbox);
-                            if (checkboxInRange) {
-                                this.setCheckboxState(checkboxInRange, true, liveRow, false);
-                            }
-                        }
-                    }
-                    // Always select the target row's checkbox
-                    this.setCheckboxState(event.target, true, row, false);
-                    // Do not update lastClickedRow on shift+click
-                    return;
-                } else {
-                    // Normal click: update lastClickedRow
-                    this.lastClickedRow = row;
-                }
-            }
-            // ... existing code ...
-        };
-        
-        // Use capture phase with passive: false to allow preventDefault
-        const options = { 
-            capture: true,
-            passive: false  // Allow preventDefault for shift-click
-        };
-        
-        container.addEventListener('click', handleClick, options);
-        
-        // Store cleanup function
-        this.listener = () => {
-            console.log('[Linqly] Removing click listener');
-            container.removeEventListener('click', handleClick, options);
-        };
-        
-        console.log('[Linqly] Delegated listener attached to grid content');
-    },
-
-    /* Helper method to get a stable UID for a row */
-    getRowUid(row) {
-        // Try different UID attributes that Clio might use
-        return row.getAttribute('data-uid') || 
-               row.getAttribute('data-kendo-uid') || 
-               row.getAttribute('id') || 
-               row.getAttribute('data-row-index') ||
-               row.textContent.trim().substring(0, 50); // Fallback to text content
-    },
-
-    /* Helper method to get the current state of a checkbox (works for both input and span) */
-    getCheckboxState(checkbox) {
-        if (checkbox.tagName === 'SPAN' && checkbox.getAttribute('role') === 'checkbox') {
-            // For custom checkbox spans, check the aria-checked attribute
-            const ariaChecked = checkbox.getAttribute('aria-checked');
-            if (ariaChecked === 'true') {
-                return true;
-            } else if (ariaChecked === 'false') {
-                return false;
-            } else {
-                // If aria-checked is empty or undefined, check the CSS classes
-                const hasCheckedClass = checkbox.classList.contains('checked');
-                const hasNgNotEmptyClass = checkbox.classList.contains('ng-not-empty');
-                const hasNgEmptyClass = checkbox.classList.contains('ng-empty');
-                
-                console.log('[Linqly] aria-checked is empty, checking CSS classes:', {
-                    hasCheckedClass,
-                    hasNgNotEmptyClass,
-                    hasNgEmptyClass,
-                    allClasses: checkbox.className
-                });
-                
-                // If it has the checked class or ng-not-empty (and not ng-empty), consider it checked
-                return hasCheckedClass || (hasNgNotEmptyClass && !hasNgEmptyClass);
-            }
-        } else {
-            // For regular checkboxes, use the checked property
-            return checkbox.checked;
-        }
-    },
-
-    /* Helper method to set checkbox state and trigger necessary events */
-    setCheckboxState(checkbox, newState, row, isMattersPage) {
-        // Check if this is a custom checkbox span
-        const isCustomCheckbox = checkbox.tagName === 'SPAN' && checkbox.getAttribute('role') === 'checkbox';
-        
-        if (isCustomCheckbox) {
-            console.log('[Linqly] Processing custom checkbox span');
-            console.log('[Linqly] Current aria-checked:', checkbox.getAttribute('aria-checked'));
-            console.log('[Linqly] Setting aria-checked to:', newState.toString());
-            
-            // For custom checkbox spans, set the aria-checked attribute
-            checkbox.setAttribute('aria-checked', newState.toString());
-            
-            // Also update CSS classes to reflect the state
-            if (newState) {
-                checkbox.classList.add('checked', 'ng-not-empty');
-                checkbox.classList.remove('ng-empty');
-            } else {
-                checkbox.classList.remove('checked', 'ng-not-empty');
-                checkbox.classList.add('ng-empty');
-            }
-            
-            console.log('[Linqly] Updated CSS classes:', checkbox.className);
-            
-            // Also try to find and update any hidden input that might be associated
-            const hiddenInput = checkbox.querySelector('input[type="checkbox"]') || 
-                               checkbox.closest('td').querySelector('input[type="checkbox"]') ||
-                               checkbox.closest('tr').querySelector('input[type="checkbox"]');
-            
-            if (hiddenInput) {
-                console.log('[Linqly] Found associated hidden input, updating its state');
-                hiddenInput.checked = newState;
-            }
-            
-            // For custom checkbox spans, we need to trigger Clio's Angular handler
-            // The key is to call the ng-click function that Clio expects
-            const ngClickAttr = checkbox.getAttribute('ng-click');
-            console.log('[Linqly] ng-click attribute:', ngClickAttr);
-            
-            // First, try to trigger the click handler that Clio expects
-            if (typeof checkbox.click === 'function') {
-                console.log('[Linqly] Calling checkbox.click()');
-                checkbox.click();
-            }
-            
-            // Also try to trigger the ng-click handler directly
-            try {
-                console.log('[Linqly] Attempting to trigger ng-click handler directly');
-                
-                // Create a synthetic click event that mimics a real user click
-                const syntheticClickEvent = new MouseEvent('click', {
-                    view: window,
-                    bubbles: true,
-                    cancelable: true,
-                    button: 0,
-                    buttons: 1,
-                    clientX: checkbox.getBoundingClientRect().left + 5,
-                    clientY: checkbox.getBoundingClientRect().top + 5
-                });
-                
-                // Set the target to the checkbox
-                Object.defineProperty(syntheticClickEvent, 'target', { value: checkbox });
-                Object.defineProperty(syntheticClickEvent, 'currentTarget', { value: checkbox });
-                
-                // Dispatch the event
-                checkbox.dispatchEvent(syntheticClickEvent);
-                
-            } catch (error) {
-                console.log('[Linqly] Error triggering ng-click handler:', error.message);
-            }
-            
-            // Also try to find and call the Angular controller method
-            if (ngClickAttr && ngClickAttr.includes('dataTableCtrl.rowCheckboxClickHandler')) {
-                console.log('[Linqly] Attempting to call Angular controller method');
-                
-                // Try to find the Angular scope and call the method
-                const row = checkbox.closest('tr');
-                if (row) {
-                    // Try to get the Angular scope from the row (only if angular is available)
-                    try {
-                        if (typeof angular !== 'undefined' && angular && angular.element) {
-                            const scope = angular.element(row).scope();
-                            if (scope && scope.dataTableCtrl && typeof scope.dataTableCtrl.rowCheckboxClickHandler === 'function') {
-                                console.log('[Linqly] Calling Angular controller method directly');
-                                scope.dataTableCtrl.rowCheckboxClickHandler();
-                            }
-                        } else {
-                            console.log('[Linqly] Angular not available, skipping direct controller call');
-                        }
-                    } catch (error) {
-                        console.log('[Linqly] Error accessing Angular scope:', error.message);
-                        // Continue with other methods even if Angular access fails
-                    }
-                    
-                    // Try a different approach - dispatch events that Angular will recognize
-                    try {
-                        console.log('[Linqly] Dispatching Angular-compatible events');
-                        
-                        // Dispatch a custom event that Angular might be listening for
-                        const customEvent = new CustomEvent('rowCheckboxClick', {
-                            bubbles: true,
-                            cancelable: true,
-                            detail: { row: row, checkbox: checkbox }
-                        });
-                        row.dispatchEvent(customEvent);
-                        
-                        // Also try dispatching a change event on the checkbox
-                        const changeEvent = new Event('change', { 
-                            bubbles: true, 
-                            cancelable: true 
-                        });
-                        checkbox.dispatchEvent(changeEvent);
-                        
-                        // And try dispatching an input event
-                        const inputEvent = new Event('input', { 
-                            bubbles: true, 
-                            cancelable: true 
-                        });
-                        checkbox.dispatchEvent(inputEvent);
-                        
-                    } catch (error) {
-                        console.log('[Linqly] Error dispatching Angular events:', error.message);
-                    }
-                }
-            }
-            
-            // Dispatch click event to trigger Angular handlers
-            const clickEvent = new MouseEvent('click', {
-                view: window,
-                bubbles: true,
-                cancelable: true,
-                button: 0,
-                buttons: 1
-            });
-            checkbox.dispatchEvent(clickEvent);
-            
-            // Also try clicking the parent row to trigger row selection
-            const parentRow = checkbox.closest('tr');
-            if (parentRow) {
-                console.log('[Linqly] Clicking parent row to trigger selection');
-                parentRow.click();
-            }
-            
-            // Verify the final state
-            setTimeout(() => {
-                const finalState = this.getCheckboxState(checkbox);
-                console.log('[Linqly] Final checkbox state after processing:', finalState);
-                console.log('[Linqly] Final aria-checked:', checkbox.getAttribute('aria-checked'));
-                console.log('[Linqly] Final CSS classes:', checkbox.className);
-            }, 100);
-            
-            return;
-        }
-        
-        // For regular checkboxes, use the existing logic
-        // For shift-click range selection, always set to true regardless of current state
-        // This ensures all rows in the range are selected, even if some were already selected
-        const currentState = this.getCheckboxState(checkbox);
-        if (currentState === newState && newState === true) {
-            console.log('[Linqly] Checkbox already in desired state, but ensuring it stays selected');
-            // Don't return early - still process the checkbox to ensure it stays selected
-        } else if (currentState === newState) {
-            console.log('[Linqly] Checkbox already in desired state, skipping change');
-            return;
-        }
-        
-        console.log('[Linqly] Changing checkbox state from', currentState, 'to', newState);
-        
-        // Set the checkbox state
-        checkbox.checked = newState;
-        
-        // For Matters page - handle Angular checkboxes
-        if (isMattersPage && checkbox.hasAttribute('ng-model')) {
-            // Dispatch change and input events
-            ['change', 'input'].forEach(eventType => {
-                const evt = new Event(eventType, { 
-                    bubbles: true, 
-                    cancelable: true
-                });
-                checkbox.dispatchEvent(evt);
-            });
-            
-            // Also try clicking the parent container
-            const parentContainer = checkbox.closest('.th-checkbox, td.row-selection-checkbox');
-            if (parentContainer && parentContainer !== checkbox) {
-                parentContainer.click();
-            }
-        } else {
-            // For other pages - try multiple approaches to ensure the checkbox toggles
-            if (typeof checkbox.click === 'function') {
-                checkbox.click();
-            }
-            
-            // Dispatch a click event with all necessary properties
-            const clickEvent = new MouseEvent('click', {
-                view: window,
-                bubbles: true,
-                cancelable: true,
-                button: 0,
-                buttons: 1,
-                clientX: 0,
-                clientY: 0
-            });
-            
-            Object.defineProperties(clickEvent, {
-                target: { value: checkbox },
-                currentTarget: { value: checkbox },
-                srcElement: { value: checkbox },
-                composed: { value: true }
-            });
-            
-            checkbox.dispatchEvent(clickEvent);
-            
-            // Also dispatch change and input events
-            setTimeout(() => {
-                checkbox.checked = newState;
-                
-                ['change', 'input'].forEach(eventType => {
-                    const evt = new Event(eventType, { 
-                        bubbles: true, 
-                        cancelable: true,
-                        view: window
-                    });
-                    checkbox.dispatchEvent(evt);
-                });
-                
-                // Try clicking the row if it's a Kendo UI row
-                if (row && (row.classList.contains('k-master-row') || row.classList.contains('k-grid-edit-row'))) {
-                    row.click();
-                }
-            }, 10);
-        }
-    },
-
-    /* Get the appropriate row and checkbox selectors based on the current page */
-    getSelectors() {
-        const path = window.location.pathname + window.location.hash;
-        
-        console.log('[Linqly] Getting selectors for path:', path);
-        
-        // Common selectors that work across all pages
-        const common = {
-            row: 'tr[role="row"]:not(.k-grouping-row):not(.k-detail-row)',
-            exclude: 'a, button, input, select, textarea, [role="button"], [ng-click]',
-            container: '.k-grid-content, .k-grid-table-wrap, [kendo-grid]',
-            isCustomCheckbox: false
-        };
-
-        // Matters page - use more comprehensive selectors
-        if (path.includes('/matters') || path.includes('#/matters')) {
-            const selectors = {
-                ...common,
-                checkbox: 'td.row-selection-checkbox input[type="checkbox"], .th-checkbox input[type="checkbox"], input[type="checkbox"][ng-model*="checkbox.checked"], input[type="checkbox"][ng-model], input[type="checkbox"]',
-                isCustomCheckbox: true
-            };
-            console.log('[Linqly] Using Matters page selectors:', selectors);
-            return selectors;
-        }
-        
-        // Billing page
-        if (path.includes('/bills') || path.includes('#/bills')) {
-            const selectors = {
-                ...common,
-                checkbox: 'td:first-child input[type="checkbox"], .th-checkbox-basic input[type="checkbox"]'
-            };
-            console.log('[Linqly] Using Billing page selectors:', selectors);
-            return selectors;
-        }
-        
-        // Tasks page
-        if (path.includes('/tasks') || path.includes('#/tasks')) {
-            const selectors = {
-                ...common,
-                checkbox: 'td.row-selection-checkbox input[type="checkbox"], .th-checkbox-basic'
-            };
-            console.log('[Linqly] Using Tasks page selectors:', selectors);
-            return selectors;
-        }
-        
-        // Documents page - use more comprehensive selectors
-        if (path.includes('/documents') || path.includes('#/documents')) {
-            const selectors = {
-                ...common,
-                checkbox: 'td.row-selection-checkbox input[type="checkbox"], .th-checkbox input[type="checkbox"], .th-checkbox span[role="checkbox"], span[role="checkbox"], input[type="checkbox"][ng-model], input[type="checkbox"]',
-                isCustomCheckbox: true
-            };
-            console.log('[Linqly] Using Documents page selectors:', selectors);
-            return selectors;
-        }
-        
-        // Default for all other pages
-        const selectors = {
-            ...common,
-            checkbox: 'input[type="checkbox"]'
-        };
-        console.log('[Linqly] Using default selectors:', selectors);
-        return selectors;
-    },
-    
-    detach() {
-        console.log('[Linqly] Detaching row-click feature');
-        if (this.listener) {
-            this.listener();
-            this.listener = null;
-        }
-        this.removeMouseEventListeners();
-        this.removeTextSelectionPreventionCSS();
-        this.currentPath = '';
-        this.tableBody = null;
-        this.isInitialized = false;
-        this.lastClickedRow = null;
-        this.isShiftPressed = false;
-        this.isShiftClickOperation = false;
-        document.querySelectorAll('.shift-click-active').forEach(el => el.classList.remove('shift-click-active'));
-        this.cleanupRouteObserver(); // Always clean up observer on detach
-        console.log('[Linqly] Row-click feature fully detached (idempotent)');
-    },
-
-    addTextSelectionPreventionCSS() {
-        // Check if we already added the CSS to avoid duplicates
-        if (document.getElementById('linqly-text-selection-prevention')) {
-            return;
-        }
-        
-        const style = document.createElement('style');
-        style.id = 'linqly-text-selection-prevention';
-        style.textContent = `
-            /* Only prevent text selection during shift+click operations */
-            .k-grid-content.shift-click-active,
-            .k-grid-table-wrap.shift-click-active,
-            [kendo-grid].shift-click-active,
-            .cc-tree-view.shift-click-active {
-                -webkit-user-select: none !important;
-                -moz-user-select: none !important;
-                -ms-user-select: none !important;
-                user-select: none !important;
-            }
-            
-            /* Allow text selection in interactive elements even during shift+click */
-            .k-grid-content.shift-click-active input,
-            .k-grid-content.shift-click-active textarea,
-            .k-grid-content.shift-click-active [contenteditable],
-            .k-grid-table-wrap.shift-click-active input,
-            .k-grid-table-wrap.shift-click-active textarea,
-            .k-grid-table-wrap.shift-click-active [contenteditable],
-            [kendo-grid].shift-click-active input,
-            [kendo-grid].shift-click-active textarea,
-            [kendo-grid].shift-click-active [contenteditable],
-            .cc-tree-view.shift-click-active input,
-            .cc-tree-view.shift-click-active textarea,
-            .cc-tree-view.shift-click-active [contenteditable] {
-                -webkit-user-select: text !important;
-                -moz-user-select: text !important;
-                -ms-user-select: text !important;
-                user-select: text !important;
-            }
-        `;
-        
-        document.head.appendChild(style);
-        console.log('[Linqly] Added text selection prevention CSS (shift+click only)');
-    },
-
-    removeTextSelectionPreventionCSS() {
-        const existingStyle = document.getElementById('linqly-text-selection-prevention');
-        if (existingStyle) {
-            existingStyle.remove();
-            console.log('[Linqly] Removed text selection prevention CSS');
-        }
-    },
-
-    addMouseEventListeners(container) {
-        // Store references to bound functions for cleanup
-        this.boundMouseDown = this.handleMouseDown.bind(this);
-        this.boundMouseMove = this.handleMouseMove.bind(this);
-        this.boundMouseUp = this.handleMouseUp.bind(this);
-        this.boundKeyDown = this.handleKeyDown.bind(this);
-        this.boundKeyUp = this.handleKeyUp.bind(this);
-        
-        // Add event listeners
-        container.addEventListener('mousedown', this.boundMouseDown, true);
-        container.addEventListener('mousemove', this.boundMouseMove, true);
-        container.addEventListener('mouseup', this.boundMouseUp, true);
-        document.addEventListener('keydown', this.boundKeyDown, true);
-        document.addEventListener('keyup', this.boundKeyUp, true);
-        
-        console.log('[Linqly] Added mouse event listeners for text selection prevention');
-    },
-
-    handleMouseDown(event) {
-        // Only prevent text selection if shift is pressed and we're clicking on a row
-        if (event.shiftKey) {
-            const selectors = this.getSelectors();
-            const row = event.target.closest(selectors.row);
-            if (row) {
-                // We're doing a shift+click on a row, prevent text selection
-                event.preventDefault();
-                this.isShiftPressed = true;
-                this.isShiftClickOperation = true;
-            }
-        }
-    },
-
-    handleMouseMove(event) {
-        // Only prevent text selection if we're in the middle of a shift+click operation
-        if (this.isShiftClickOperation) {
-            event.preventDefault();
-        }
+    
+    /* featureManager only calls this when the extension is enabled */
+    initialize() {
+        console.log('[Linqly] Row-click feature initializing…');
+        this.initializeInternal();
     },
 
-    handleMouseUp(event) {
-        // Clear shift operation state
-        this.isShiftPressed = false;
-        this.isShiftClickOperation = false;
+    /* Built-in selectors, with the imported profile's "default" entry on top */
+    getSelectors() {
+        return {
+            ...this.getBuiltInSelectors(),
+            ...this.getSelectorOverrides()
+        };
     },
 
-    handleKeyDown(event) {
-        // Track shift key state
-        if (event.key === 'Shift') {
-            this.isShiftPressed = true;
-        }
-    },
+    /* Get the appropriate row and checkbox selectors based on the current page */
+    getBuiltInSelectors() {
+        const path = window.location.pathname + window.location.hash;
+        const common = LinqlySelectionEngine.commonSelectors;
 
-    handleKeyUp(event) {
-        // Clear shift key state
-        if (event.key === 'Shift') {
-            this.isShiftPressed = false;
-            this.isShiftClickOperation = false;
+        // Matters list - use more comprehensive selectors; a matter's own pages fall through
+        if (/\/matters\/?(?:[?#]|$)/.test(path)) {
+            return {
+                ...common,
+                checkbox: 'td.row-selection-checkbox input[type="checkbox"], .th-checkbox input[type="checkbox"], input[type="checkbox"][ng-model*="checkbox.checked"], input[type="checkbox"][ng-model], input[type="checkbox"]',
+                isCustomCheckbox: true
+            };
         }
-    },
-
-    removeMouseEventListeners() {
-        // Clean up mouse event listeners
-        if (this.tableBody) {
-            if (this.boundMouseDown) {
-                this.tableBody.removeEventListener('mousedown', this.boundMouseDown, true);
-                this.boundMouseDown = null;
-            }
-            if (this.boundMouseMove) {
-                this.tableBody.removeEventListener('mousemove', this.boundMouseMove, true);
-                this.boundMouseMove = null;
-            }
-            if (this.boundMouseUp) {
-                this.tableBody.removeEventListener('mouseup', this.boundMouseUp, true);
-                this.boundMouseUp = null;
-            }
+        
+        // Billing page
+        if (path.includes('/bills') || path.includes('#/bills')) {
+            return {
+                ...common,
+                checkbox: 'td:first-child input[type="checkbox"], .th-checkbox-basic input[type="checkbox"]'
+            };
         }
         
-        // Clean up document-level key listeners
-        if (this.boundKeyDown) {
-            document.removeEventListener('keydown', this.boundKeyDown, true);
-            this.boundKeyDown = null;
+        // Tasks page
+        if (path.includes('/tasks') || path.includes('#/tasks')) {
+            return {
+                ...common,
+                checkbox: 'td.row-selection-checkbox input[type="checkbox"], .th-checkbox-basic'
+            };
         }
-        if (this.boundKeyUp) {
-            document.removeEventListener('keyup', this.boundKeyUp, true);
-            this.boundKeyUp = null;
+        
+        // Documents page - use more comprehensive selectors
+        if (path.includes('/documents') || path.includes('#/documents')) {
+            return {
+                ...common,
+                checkbox: 'td.row-selection-checkbox input[type="checkbox"], .th-checkbox input[type="checkbox"], .th-checkbox span[role="checkbox"], span[role="checkbox"], input[type="checkbox"][ng-model], input[type="checkbox"]',
+                isCustomCheckbox: true
+            };
         }
         
-        console.log('[Linqly] Removed mouse event listeners');
+        // Other pages: only Clio's row-selection cells, not every checkbox a row happens to hold
+        // (status toggles, inline "billable" switches)
+        return {
+            ...common,
+            checkbox: 'td.row-selection-checkbox input[type="checkbox"], .th-checkbox input[type="checkbox"], .th-checkbox-basic input[type="checkbox"]'
+        };
     }
-};
+});
+
+/* The selection module driving the current grid, if it supports bulk actions */
+function getActiveSelectionModule() {
+    const page = LinqlyPageRegistry.activePage;
+    if (page) {
+        return page.isInitialized && typeof page.getSelectedRows === 'function' ? page : null;
+    }
+    return rowClickSelectFeature.isInitialized ? rowClickSelectFeature : null;
+}
+
+// Exports and the basket read the selected rows through the same module as the toolbar count
+LinqlyExport.getActiveModule = getActiveSelectionModule;
+
+/* The grid the active module selects in; exports fall back to LinqlyExport.findActiveGrid without one */
+function getActiveSelectionGrid() {
+    const module = getActiveSelectionModule();
+    return module ? LinqlyExport.getGridFor(module.tableBody) : null;
+}
+
+/* Open the export column chooser for the active grid */
+function openExportDialog() {
+    LinqlyExportDialog.open(getActiveSelectionGrid() || LinqlyExport.findActiveGrid()).catch(error => {
+        console.error('[Linqly] Error opening the export dialog:', error);
+    });
+}
+
+/* Copy the current selection, reporting clipboard failures in the console */
+function copySelection(format) {
+    LinqlyExport.copySelected(format, getActiveSelectionGrid()).catch(error => {
+        console.error('[Linqly] Error copying selected items:', error);
+    });
+}
 
 /**************** Feature: Checkbox Deselect **************/
 const checkboxDeselectFeature = {
@@ -1118,7 +298,9 @@ const checkboxDeselectFeature = {
     shouldInitialize() {
         // Initialize on any Clio page that might have tables, but exclude new bills page
         const href = window.location.href;
-        const shouldInit = /^https:\/\/app\.clio\.com\/nc\/#\//.test(href) && 
+        // Page modules outside the /nc/ app (Communications, Grow) need the shortcuts too
+        const hasPageModule = !!LinqlyPageRegistry.findPage(href) && !href.includes('/bills/new_bills');
+        const shouldInit = hasPageModule || (/^https:\/\/app\.clio\.com\/nc\/#\//.test(href) && 
                           !/\/(login|auth|sign_in|sign_up|password|billing)/.test(href) &&
                           !href.includes('/bills/new_bills') &&  // Exclude new bills page (handled by newbills.js)
                           !href.includes('/matters/new') &&  // Exclude new matter creation page
@@ -1126,7 +308,7 @@ const checkboxDeselectFeature = {
                           !href.includes('/settings/') &&  // Exclude settings pages
                           !href.includes('/new') &&  // Exclude any other new creation pages
                           !href.includes('/edit') &&  // Exclude edit pages
-                          !href.includes('/create');  // Exclude create pages
+                          !href.includes('/create'));  // Exclude create pages
         console.log(`[Linqly] Should initialize Checkbox Deselect for ${href}?`, shouldInit);
         return shouldInit;
     },
@@ -1148,12 +330,23 @@ const checkboxDeselectFeature = {
     },
     
     deselectAll() {
-        // Find the clear selection button
-        const clearButton = document.querySelector('a.counter-clear[ng-click*="clearSelection"]');
+        // Rows on other pages of the grid are deselected too
+        LinqlySelectionStore.clear();
+        
+        // Find the clear selection button, trying newer Clio markup if the usual one is gone
+        const match = LinqlyDiagnostics.resolve(this.name, 'clearButton', LinqlyDiagnostics.fallbacks.clearButton);
+        
+        if (match) {
+            console.log(`[Linqly] Found clear selection button (${match.strategy.name}), clicking it`);
+            match.element.click();
+            return;
+        }
         
-        if (clearButton) {
-            console.log('[Linqly] Found clear selection button, clicking it');
-            clearButton.click();
+        // Grids without Clio's selection counter, e.g. a matter's tabs: uncheck the rows directly
+        const module = getActiveSelectionModule();
+        if (module) {
+            console.log('[Linqly] Clear selection button not found, unchecking rows');
+            module.clearSelection();
         } else {
             console.log('[Linqly] Clear selection button not found');
             console.log('[Linqly] Current URL:', window.location.href);
@@ -1164,8 +357,8 @@ const checkboxDeselectFeature = {
     handlePageClick(event) {
         const target = event.target;
         
-        // Exit if the user clicked on a link, button, or an icon within a button
-        if (target.closest('a, button, [role="button"]')) {
+        // Exit if the user clicked on a link, button, an icon within a button, or Linqly's own UI
+        if (target.closest('a, button, [role="button"], [data-linqly-ui]')) {
             return;
         }
         
@@ -1174,6 +367,8 @@ const checkboxDeselectFeature = {
         
         // Scenario 1: The user clicked inside a data table row
         if (clickedRow) {
+            if (!LinqlySettings.get('linqly_row_click_select')) return;
+            
             // Find the specific checkbox for that row
             const checkbox = clickedRow.querySelector('td.row-selection-checkbox input[type="checkbox"]');
             if (!checkbox) return;
@@ -1185,7 +380,7 @@ const checkboxDeselectFeature = {
             clickedRow.classList.toggle('custom-selected-row', checkbox.checked);
             
         // Scenario 2: The user clicked somewhere on the page, but not within the data table area
-        } else if (!target.closest('th-data-table')) {
+        } else if (!target.closest('th-data-table') && !this.isInActiveGrid(target) && LinqlySettings.get('linqly_click_away_deselect')) {
             // Add a small delay to prevent immediate deselection of newly selected checkboxes
             setTimeout(() => {
                 this.deselectAll();
@@ -1193,10 +388,37 @@ const checkboxDeselectFeature = {
         }
     },
     
+    /* True when the element is inside the grid the active module selects in */
+    isInActiveGrid(element) {
+        const grid = getActiveSelectionGrid();
+        return !!grid && grid.contains(element);
+    },
+    
     handleKeydown(event) {
-        if (event.key === 'Escape') {
+        if (event.key === 'Escape' && LinqlySettings.get('linqly_escape_deselect')) {
             this.deselectAll();
+            return;
+        }
+        
+        // Shift+Arrow ranges are handled by the selection engine's row navigation
+        if (!LinqlySettings.get('linqly_keyboard_commands') || LinqlyUtils.isTypingTarget(event.target)) return;
+        
+        // Alt+letter commands, mapped on the options page
+        const shortcut = LinqlyShortcuts.match(event);
+        if (!shortcut) return;
+        
+        if (shortcut.copyFormat) {
+            event.preventDefault();
+            copySelection(shortcut.copyFormat);
+            return;
         }
+        
+        const module = getActiveSelectionModule();
+        if (!module) return;
+        
+        event.preventDefault();
+        console.log(`[Linqly] Keyboard command: ${shortcut.command}`);
+        module[shortcut.command]();
     },
     
     detach() {
@@ -1214,10 +436,357 @@ const checkboxDeselectFeature = {
     }
 };
 
+/**************** Feature: Selection Toolbar ***************/
+// Floating bar with the selected row count and bulk actions for the current grid
+const selectionToolbarFeature = {
+    name: 'Selection Toolbar',
+    settingKey: 'linqly_selection_toolbar',
+
+    isInitialized: false,
+    element: null,
+    countElement: null,
+
+    actions: [
+        { id: 'select-all', label: 'Select all visible' },
+        { id: 'invert', label: 'Invert' },
+        { id: 'clear', label: 'Clear' },
+        { id: 'export', label: 'Export CSV' },
+        { id: 'export-xlsx', label: 'Export Excel' },
+        { id: 'export-custom', label: 'Export…' },
+        { id: 'copy', label: 'Copy' },
+        { id: 'basket', label: 'Add to basket' }
+    ],
+
+    shouldInitialize() {
+        return LinqlySettings.get(this.settingKey);
+    },
+
+    initialize() {
+        if (this.isInitialized) return;
+
+        console.log('[Linqly] Initializing Selection Toolbar feature');
+
+        this.boundUpdate = this.update.bind(this);
+        this.boundHandleCheckboxEvent = this.handleCheckboxEvent.bind(this);
+
+        // The toolbar only redraws when something reports a selection change
+        document.addEventListener('linqly:selectionchange', this.boundUpdate);
+        // Clio's own checkboxes (header select-all, direct clicks) report through these
+        document.addEventListener('change', this.boundHandleCheckboxEvent, true);
+        document.addEventListener('click', this.boundHandleCheckboxEvent, true);
+
+        this.isInitialized = true;
+        this.update();
+    },
+
+    /* Build the toolbar the first time it is needed */
+    createElement() {
+        const toolbar = document.createElement('div');
+        toolbar.id = 'linqly-selection-toolbar';
+        toolbar.setAttribute('role', 'toolbar');
+        toolbar.setAttribute('aria-label', 'Linqly selection');
+        toolbar.setAttribute('data-linqly-ui', '');
+
+        this.countElement = document.createElement('span');
+        this.countElement.className = 'linqly-toolbar-count';
+        toolbar.appendChild(this.countElement);
+
+        this.actions.forEach(action => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = action.label;
+            button.dataset.action = action.id;
+            toolbar.appendChild(button);
+        });
+
+        toolbar.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (button) {
+                this.runAction(button.dataset.action);
+            }
+        });
+
+        document.body.appendChild(toolbar);
+        this.element = toolbar;
+    },
+
+    handleCheckboxEvent(event) {
+        if (event.target.closest && event.target.closest('input[type="checkbox"], span[role="checkbox"], label, a.counter-clear')) {
+            LinqlyUtils.notifySelectionChange();
+        }
+    },
+
+    /* Show the toolbar with the current count, or hide it when nothing is selected */
+    update() {
+        if (!this.isInitialized) return;
+
+        const module = getActiveSelectionModule();
+        const count = module ? module.getSelectedRows().length : 0;
+
+        if (count === 0) {
+            if (this.element) this.element.classList.remove('visible');
+            return;
+        }
+
+        if (!this.element) this.createElement();
+        this.countElement.textContent = `${count} selected`;
+        this.element.classList.add('visible');
+    },
+
+    runAction(action) {
+        const module = getActiveSelectionModule();
+        if (!module) return;
+
+        console.log(`[Linqly] Selection toolbar action: ${action}`);
+        try {
+            switch (action) {
+                case 'select-all':
+                    module.selectAllVisible();
+                    break;
+                case 'invert':
+                    module.invertSelection();
+                    break;
+                case 'clear':
+                    module.clearSelection();
+                    break;
+                case 'export':
+                    LinqlyExport.exportSelectedAsCsv(getActiveSelectionGrid());
+                    break;
+                case 'export-xlsx':
+                    LinqlyExport.exportSelectedAsXlsx(getActiveSelectionGrid());
+                    break;
+                case 'export-custom':
+                    openExportDialog();
+                    break;
+                case 'copy':
+                    copySelection('table');
+                    break;
+                case 'basket':
+                    LinqlyBasket.addSelection(getActiveSelectionGrid()).catch(error => {
+                        console.error('[Linqly] Error adding to the basket:', error);
+                    });
+                    break;
+            }
+        } catch (error) {
+            console.error(`[Linqly] Error running toolbar action ${action}:`, error);
+        }
+    },
+
+    detach() {
+        if (!this.isInitialized) return;
+
+        console.log('[Linqly] Detaching Selection Toolbar feature');
+        document.removeEventListener('linqly:selectionchange', this.boundUpdate);
+        document.removeEventListener('change', this.boundHandleCheckboxEvent, true);
+        document.removeEventListener('click', this.boundHandleCheckboxEvent, true);
+        this.boundUpdate = null;
+        this.boundHandleCheckboxEvent = null;
+
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+            this.countElement = null;
+        }
+
+        this.isInitialized = false;
+    }
+};
+
+/**************** Feature: Column Statistics ***************/
+// Sum, average, min, max and count of the numeric columns in the selection.
+// The star next to a column in the panel, or Alt+click on a grid header, pins it.
+const statisticsPanelFeature = {
+    name: 'Column Statistics',
+    settingKey: 'linqly_selection_statistics',
+
+    isInitialized: false,
+    element: null,
+    pins: [],
+    pinsPageType: null,
+
+    shouldInitialize() {
+        return LinqlySettings.get(this.settingKey);
+    },
+
+    initialize() {
+        if (this.isInitialized) return;
+
+        console.log('[Linqly] Initializing Column Statistics feature');
+
+        this.boundUpdate = () => {
+            this.update().catch(error => {
+                console.error('[Linqly] Error updating column statistics:', error);
+            });
+        };
+        this.boundHandleHeaderClick = this.handleHeaderClick.bind(this);
+
+        document.addEventListener('linqly:selectionchange', this.boundUpdate);
+        // Capture phase so the Alt+click pins instead of sorting the grid
+        document.addEventListener('click', this.boundHandleHeaderClick, true);
+
+        this.isInitialized = true;
+        this.boundUpdate();
+    },
+
+    /* Pins for the current page type, loaded once per page type */
+    async getPins() {
+        const pageType = LinqlyUtils.getPageType();
+        if (this.pinsPageType !== pageType) {
+            this.pins = await LinqlyStatistics.loadPins(pageType);
+            this.pinsPageType = pageType;
+        }
+        return this.pins;
+    },
+
+    async togglePin(title) {
+        const pageType = LinqlyUtils.getPageType();
+        this.pins = await LinqlyStatistics.togglePin(pageType, title);
+        this.pinsPageType = pageType;
+        LinqlyUtils.showNotice(this.pins.includes(title) ? `Pinned "${title}" in column statistics` : `Unpinned "${title}"`);
+        await this.update();
+    },
+
+    handleHeaderClick(event) {
+        if (!event.altKey || !event.target.closest) return;
+
+        const th = event.target.closest('.k-grid-header th, thead th');
+        if (!th || th.closest('[data-linqly-ui]')) return;
+
+        const title = (th.getAttribute('data-title') || th.textContent || '').replace(/\s+/g, ' ').trim();
+        if (!title) return;
+
+        event.preventDefault();
+        event.stopPropagation();
+        this.togglePin(title).catch(error => {
+            console.error('[Linqly] Error pinning column:', error);
+        });
+    },
+
+    /* Redraw the panel for the current selection; hidden when nothing numeric is selected */
+    async update() {
+        if (!this.isInitialized) return;
+
+        const module = getActiveSelectionModule();
+        const grid = getActiveSelectionGrid();
+        const rows = module && grid ? module.getSelectedRows() : [];
+        const columns = rows.length ? LinqlyExport.getColumns(grid) : [];
+        const statistics = LinqlyStatistics.compute({
+            columns: columns.map(column => column.title),
+            rows: rows.map(row => LinqlyExport.getRowValues(row, columns))
+        });
+
+        if (statistics.length === 0) {
+            if (this.element) this.element.classList.remove('visible');
+            return;
+        }
+
+        const pins = await this.getPins();
+        const pinned = statistics.filter(column => pins.includes(column.title));
+        this.render(pinned.length ? pinned : statistics, pins, pinned.length ? statistics.length - pinned.length : 0);
+    },
+
+    /* hiddenCount is the number of unpinned columns left out while some are pinned */
+    render(statistics, pins, hiddenCount) {
+        if (!this.element) {
+            this.element = document.createElement('div');
+            this.element.id = 'linqly-statistics';
+            this.element.setAttribute('role', 'status');
+            this.element.setAttribute('data-linqly-ui', '');
+            this.element.addEventListener('click', (event) => {
+                const button = event.target.closest('button[data-column]');
+                if (!button) return;
+                this.togglePin(button.dataset.column).catch(error => {
+                    console.error('[Linqly] Error pinning column:', error);
+                });
+            });
+            document.body.appendChild(this.element);
+        }
+
+        const table = document.createElement('table');
+        const header = table.createTHead().insertRow();
+        ['Column', 'Sum', 'Average', 'Min', 'Max', 'Count'].forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            header.appendChild(th);
+        });
+
+        const body = table.createTBody();
+        statistics.forEach(column => {
+            const row = body.insertRow();
+            const isPinned = pins.includes(column.title);
+            const pin = document.createElement('button');
+            pin.type = 'button';
+            pin.className = 'linqly-statistics-pin';
+            pin.dataset.column = column.title;
+            pin.textContent = isPinned ? '★' : '☆';
+            pin.title = isPinned ? `Unpin "${column.title}"` : `Pin "${column.title}" so only pinned columns are shown`;
+            pin.setAttribute('aria-pressed', String(isPinned));
+            pin.classList.toggle('pinned', isPinned);
+            const name = row.insertCell();
+            name.append(pin, ` ${column.title}`);
+
+            [column.sum, column.average, column.min, column.max].forEach(value => {
+                row.insertCell().textContent = LinqlyStatistics.format(value, column.type, column.symbol);
+            });
+            row.insertCell().textContent = column.count;
+        });
+
+        const hint = document.createElement('div');
+        hint.className = 'linqly-statistics-hint';
+        hint.textContent = hiddenCount > 0
+            ? `Showing pinned columns, ${hiddenCount} more unpinned. ☆ or Alt+click a column header to pin.`
+            : '☆ or Alt+click a column header to pin.';
+
+        this.element.replaceChildren(table, hint);
+        this.element.classList.add('visible');
+    },
+
+    detach() {
+        if (!this.isInitialized) return;
+
+        console.log('[Linqly] Detaching Column Statistics feature');
+        document.removeEventListener('linqly:selectionchange', this.boundUpdate);
+        document.removeEventListener('click', this.boundHandleHeaderClick, true);
+        this.boundUpdate = null;
+        this.boundHandleHeaderClick = null;
+
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+        }
+
+        this.isInitialized = false;
+    }
+};
+
+/* Check the rows of the current grid that are in the basket; other pages of the grid follow via the selection store */
+async function applyBasketToGrid() {
+    const module = getActiveSelectionModule();
+    if (!module) {
+        LinqlyUtils.showNotice('Open a Clio list to select basket items.');
+        return;
+    }
+
+    const type = LinqlyUtils.getPageType();
+    const ids = (await LinqlyBasket.load()).filter(item => item.type === type).map(item => item.id);
+    if (ids.length === 0) {
+        LinqlyUtils.showNotice(`The basket has no ${type} to select here.`);
+        return;
+    }
+
+    const rows = module.getVisibleRows(module.tableBody)
+        .filter(row => ids.includes(LinqlyUtils.getRecordId(row, type)));
+    module.setRowsSelected(rows, true);
+    LinqlySelectionStore.update(ids.map(recordId => ({ recordId, selected: true })));
+    LinqlyUtils.showNotice(`Selected ${rows.length} of ${ids.length} basket item${ids.length === 1 ? '' : 's'} on this page`);
+}
+
 /************************ Initialise *******************************/
 // Register features
 featureManager.register(rowClickSelectFeature);
 featureManager.register(checkboxDeselectFeature);
+featureManager.register(selectionToolbarFeature);
+featureManager.register(statisticsPanelFeature);
 
 // Helper to (de)activate features based on stored setting
 async function applyEnabledState(enabled) {
@@ -1225,52 +794,24 @@ async function applyEnabledState(enabled) {
         await featureManager.init();
     } else {
         // Detach logic for each feature that supports detach
-        if (typeof rowClickSelectFeature.detach === 'function') {
-            rowClickSelectFeature.detach();
-            // Also clean up the route observer to prevent reinitialization
-            rowClickSelectFeature.cleanupRouteObserver();
-        }
-        if (typeof checkboxDeselectFeature.detach === 'function') {
-            checkboxDeselectFeature.detach();
-        }
+        featureManager.unwatchRoutes();
+        featureManager.features.forEach(feature => {
+            if (typeof feature.detach === 'function') {
+                feature.detach();
+            }
+        });
         
-        // Also detach modular page modules
-        if (window.LinqlyMattersPage && typeof window.LinqlyMattersPage.detach === 'function') {
-            console.log('[Linqly] Detaching modular Matters page due to extension disable');
-            window.LinqlyMattersPage.detach();
-        }
-        if (window.LinqlyContactsPage && typeof window.LinqlyContactsPage.detach === 'function') {
-            console.log('[Linqly] Detaching modular Contacts page due to extension disable');
-            window.LinqlyContactsPage.detach();
-        }
-        if (window.LinqlyTasksPage && typeof window.LinqlyTasksPage.detach === 'function') {
-            console.log('[Linqly] Detaching modular Tasks page due to extension disable');
-            window.LinqlyTasksPage.detach();
-        }
-        if (window.LinqlyActivitiesPage && typeof window.LinqlyActivitiesPage.detach === 'function') {
-            console.log('[Linqly] Detaching modular Activities page due to extension disable');
-            window.LinqlyActivitiesPage.detach();
-        }
-        if (window.LinqlyBillingPage && typeof window.LinqlyBillingPage.detach === 'function') {
-            console.log('[Linqly] Detaching modular Billing page due to extension disable');
-            window.LinqlyBillingPage.detach();
-        }
-        if (window.LinqlyDocumentsPage && typeof window.LinqlyDocumentsPage.detach === 'function') {
-            console.log('[Linqly] Detaching modular Documents page due to extension disable');
-            window.LinqlyDocumentsPage.detach();
-        }
+        // Also detach the active page module
+        LinqlyPageRegistry.deactivate();
     }
 }
 
-// Read initial setting then apply
+// Read initial settings then apply
 async function initFromStorage() {
-    return new Promise((resolve) => {
-        chrome.storage.sync.get({ linqly_enabled: true }, async (res) => {
-            console.log('[Linqly] Initial load, enabled state:', res.linqly_enabled);
-            await applyEnabledState(res.linqly_enabled);
-            resolve();
-        });
-    });
+    const settings = await LinqlySettings.load();
+    await LinqlySelectorOverrides.load();
+    console.log('[Linqly] Initial load, enabled state:', settings.linqly_enabled);
+    await applyEnabledState(settings.linqly_enabled);
 }
 
 // Log that content script has loaded
@@ -1324,88 +865,141 @@ window.addEventListener('load', () => {
   }
 });
 
-// Listen for setting updates broadcast from popup and storage changes
-chrome.storage.onChanged.addListener((changes, namespace) => {
-    if (namespace === 'sync' && changes.linqly_enabled) {
-        console.log('[Linqly] Storage change detected, enabled:', changes.linqly_enabled.newValue);
-        applyEnabledState(changes.linqly_enabled.newValue).catch(error => {
+// React to setting changes, whether they arrive through storage or the popup broadcast
+LinqlySettings.onChange((changes) => {
+    if ('linqly_enabled' in changes) {
+        applyEnabledState(changes.linqly_enabled).catch(error => {
             console.error('[Linqly] Error applying enabled state:', error);
         });
+        return;
+    }
+
+    if (!LinqlySettings.get('linqly_enabled')) return;
+
+    // Features with their own toggle, e.g. the selection toolbar
+    if (featureManager.features.some(feature => feature.settingKey && feature.settingKey in changes)) {
+        featureManager.refreshFeatures();
+    }
+
+    // The totals footer reads its toggle on every update
+    if ('linqly_selection_totals' in changes) {
+        LinqlyUtils.notifySelectionChange();
+    }
+
+    // Page module toggles: let the registry attach or detach the current page's module
+    if (Object.keys(changes).some(key => key.startsWith('linqly_page_'))) {
+        featureManager.initModularPages();
     }
 });
 
+// An imported selector profile applies at once: re-attach the grid modules with it
+LinqlySelectorOverrides.onChange(() => {
+    if (!LinqlySettings.get('linqly_enabled')) return;
+
+    console.log('[Linqly] Selector profile changed, re-attaching');
+    LinqlyPageRegistry.deactivate();
+    rowClickSelectFeature.detach();
+    featureManager.refreshFeatures();
+    featureManager.initModularPages();
+});
+
 // Also listen for messages from popup (redundant but ensures immediate response)
 chrome.runtime.onMessage.addListener((msg) => {
-    if (msg.type === 'SETTINGS_UPDATED' && msg.settings && typeof msg.settings.linqly_enabled !== 'undefined') {
-        console.log('[Linqly] Message received, enabled:', msg.settings.linqly_enabled);
-        applyEnabledState(msg.settings.linqly_enabled).catch(error => {
-            console.error('[Linqly] Error applying enabled state from message:', error);
-        });
+    if (msg.type === 'SETTINGS_UPDATED' && msg.settings) {
+        console.log('[Linqly] Settings message received:', msg.settings);
+        LinqlySettings.apply(msg.settings);
     }
 });
 
-// Load shared utilities
-if (typeof LinqlyUtils === 'undefined') {
-    // If shared utils aren't loaded, we'll load them dynamically
-    console.log('[Linqly] Shared utilities not found, loading dynamically');
-}
+// Handle "Select on page" from the popup's basket
+chrome.runtime.onMessage.addListener((msg) => {
+    if (msg.type !== 'APPLY_BASKET') return false;
 
-// Reference page-specific modules (they're already declared in their respective files)
-// The modular pages declare themselves on the window object
-console.log('[Linqly] Checking for modular page modules...');
+    if (!LinqlySettings.get('linqly_enabled')) {
+        console.log('[Linqly] Extension disabled, ignoring basket request');
+        return false;
+    }
+
+    applyBasketToGrid().catch(error => {
+        console.error('[Linqly] Error applying the basket:', error);
+    });
+    return false;
+});
+
+// Handle the "Export Selected Items" context menu from the background script
+chrome.runtime.onMessage.addListener((msg) => {
+    if (msg.type !== 'EXPORT_SELECTED') return false;
 
-// Direct route change handler for modular pages
-function handleModularPageRouteChange() {
-    console.log('[Linqly] Direct modular page route change handler triggered');
-    
-    // Check extension state and initialize appropriate modular page
     chrome.storage.sync.get({ linqly_enabled: true }, (res) => {
         if (!res.linqly_enabled) {
-            console.log('[Linqly] Extension disabled, not initializing modular pages');
+            console.log('[Linqly] Extension disabled, ignoring export request');
             return;
         }
-        
-        const currentPath = window.location.href;
-        console.log('[Linqly] Current path:', currentPath);
-        
-        // Check and initialize Matters page if needed
-        if (window.LinqlyMattersPage && window.LinqlyMattersPage.shouldInitialize()) {
-            console.log('[Linqly] Direct handler: Initializing Matters page');
-            window.LinqlyMattersPage.initialize();
-        }
-        
-        // Check and initialize Contacts page if needed
-        if (window.LinqlyContactsPage && window.LinqlyContactsPage.shouldInitialize()) {
-            console.log('[Linqly] Direct handler: Initializing Contacts page');
-            window.LinqlyContactsPage.initialize();
-        }
-        
-        // Check and initialize Tasks page if needed
-        if (window.LinqlyTasksPage && window.LinqlyTasksPage.shouldInitialize()) {
-            console.log('[Linqly] Direct handler: Initializing Tasks page');
-            window.LinqlyTasksPage.initialize();
-        }
-        
-        // Check and initialize Activities page if needed
-        if (window.LinqlyActivitiesPage && window.LinqlyActivitiesPage.shouldInitialize()) {
-            console.log('[Linqly] Direct handler: Initializing Activities page');
-            window.LinqlyActivitiesPage.initialize();
-        }
-        
-        // Check and initialize Documents page if needed
-        if (window.LinqlyDocumentsPage && window.LinqlyDocumentsPage.shouldInitialize()) {
-            console.log('[Linqly] Direct handler: Initializing Documents page');
-            window.LinqlyDocumentsPage.initialize();
+
+        try {
+            if (msg.format === 'xlsx') {
+                window.LinqlyExport.exportSelectedAsXlsx(getActiveSelectionGrid());
+            } else {
+                window.LinqlyExport.exportSelectedAsCsv(getActiveSelectionGrid());
+            }
+        } catch (error) {
+            console.error('[Linqly] Error exporting selected items:', error);
         }
-        
-        // Check and initialize Billing page if needed
-        if (window.LinqlyBillingPage && window.LinqlyBillingPage.shouldInitialize()) {
-            console.log('[Linqly] Direct handler: Initializing Billing page');
-            window.LinqlyBillingPage.initialize();
+    });
+    return false;
+});
+
+// Handle the column chooser context menu and saved templates run from the popup
+chrome.runtime.onMessage.addListener((msg) => {
+    if (msg.type !== 'OPEN_EXPORT_DIALOG' && msg.type !== 'RUN_EXPORT_TEMPLATE') return false;
+
+    if (!LinqlySettings.get('linqly_enabled')) {
+        console.log('[Linqly] Extension disabled, ignoring export request');
+        return false;
+    }
+
+    if (msg.type === 'OPEN_EXPORT_DIALOG') {
+        openExportDialog();
+        return false;
+    }
+
+    LinqlyExportTemplates.find(LinqlyUtils.getPageType(), msg.templateId).then(template => {
+        if (template) {
+            LinqlyExportTemplates.run(template, getActiveSelectionGrid());
+        } else {
+            LinqlyUtils.showNotice('That export template is not saved for this page.');
         }
+    }).catch(error => {
+        console.error('[Linqly] Error running export template:', error);
     });
-}
+    return false;
+});
+
+// Handle the "Export All Pages" context menu from the background script
+chrome.runtime.onMessage.addListener((msg) => {
+    if (msg.type !== 'EXPORT_ALL_PAGES') return false;
+
+    if (!LinqlySettings.get('linqly_enabled')) {
+        console.log('[Linqly] Extension disabled, ignoring export request');
+        return false;
+    }
 
-// Set up direct route change listeners
-window.addEventListener('hashchange', handleModularPageRouteChange);
-window.addEventListener('popstate', handleModularPageRouteChange);
+    const grid = getActiveSelectionGrid() || LinqlyExport.findActiveGrid();
+    LinqlyExportAll.run(grid, msg.format).catch(error => {
+        console.error('[Linqly] Error exporting all pages:', error);
+    });
+    return false;
+});
+
+// Handle the "Copy Selected Items" context menu from the background script
+chrome.runtime.onMessage.addListener((msg) => {
+    if (msg.type !== 'COPY_SELECTED') return false;
+
+    if (!LinqlySettings.get('linqly_enabled')) {
+        console.log('[Linqly] Extension disabled, ignoring copy request');
+        return false;
+    }
+
+    copySelection(msg.format);
+    return false;
+});
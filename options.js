@@ -0,0 +1,207 @@
+// Options Page Script for Linqly Extension
+// Settings are written to storage only; open Clio tabs pick them up through storage.onChanged.
+
+document.addEventListener('DOMContentLoaded', async () => {
+  // Get DOM elements
+  const toggleEnabled = document.getElementById('toggle-enabled');
+  const settingToggles = Array.from(document.querySelectorAll('input[data-setting]'));
+  const settingsGroup = document.getElementById('settings-group');
+  const settingsFile = document.getElementById('settings-file');
+  const settingsStatus = document.getElementById('settings-status');
+  const settingsErrors = document.getElementById('settings-errors');
+  const shortcutList = document.getElementById('shortcut-list');
+  const shortcutErrors = document.getElementById('shortcut-errors');
+  const templateList = document.getElementById('template-list');
+  const templateEmpty = document.getElementById('template-empty');
+  const profileStatus = document.getElementById('profile-status');
+  const profileErrors = document.getElementById('profile-errors');
+  const profileJson = document.getElementById('profile-json');
+  const profileFile = document.getElementById('profile-file');
+  const profileRemove = document.getElementById('profile-remove');
+
+  // Fill a list element with error messages (an empty list hides it)
+  function showErrors(list, errors) {
+    list.replaceChildren(...errors.map(error => {
+      const item = document.createElement('li');
+      item.textContent = error;
+      return item;
+    }));
+  }
+
+  // Grey out the individual toggles while Linqly is switched off
+  function updateGroupState() {
+    settingsGroup.classList.toggle('disabled', !toggleEnabled.checked);
+  }
+
+  async function loadSettings() {
+    const settings = await chrome.storage.sync.get(LinqlySettings.defaults);
+
+    settingToggles.forEach(toggle => {
+      toggle.checked = settings[toggle.dataset.setting];
+    });
+    updateGroupState();
+    renderShortcuts(settings);
+  }
+
+  // One row per command with a letter picker
+  function renderShortcuts(settings) {
+    shortcutList.replaceChildren(...LinqlyShortcuts.commands.map(shortcut => {
+      const row = document.createElement('div');
+      row.className = 'feature-item sub';
+      const name = document.createElement('div');
+      name.className = 'feature-name';
+      name.textContent = shortcut.label;
+      const select = document.createElement('select');
+      select.dataset.shortcut = shortcut.settingKey;
+      LinqlyShortcuts.keys.forEach(code => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.textContent = LinqlyShortcuts.label(code);
+        select.appendChild(option);
+      });
+      select.value = settings[shortcut.settingKey];
+      select.addEventListener('change', saveShortcuts);
+      row.append(name, select);
+      return row;
+    }));
+  }
+
+  // Save the mapping only when no letter is used twice
+  async function saveShortcuts() {
+    const mapping = {};
+    shortcutList.querySelectorAll('select[data-shortcut]').forEach(select => {
+      mapping[select.dataset.shortcut] = select.value;
+    });
+
+    const errors = LinqlyShortcuts.validate(mapping);
+    showErrors(shortcutErrors, errors);
+    if (errors.length === 0) {
+      await chrome.storage.sync.set(mapping);
+    }
+  }
+
+  async function resetShortcuts() {
+    const defaults = {};
+    LinqlyShortcuts.commands.forEach(shortcut => {
+      defaults[shortcut.settingKey] = LinqlySettings.defaults[shortcut.settingKey];
+    });
+    await chrome.storage.sync.set(defaults);
+    showErrors(shortcutErrors, []);
+  }
+
+  // Every saved template, grouped by the page it was saved on
+  async function renderTemplates() {
+    const all = await LinqlyExportTemplates.load();
+    const rows = [];
+    Object.entries(all).forEach(([pageType, templates]) => {
+      templates.forEach(template => {
+        const row = document.createElement('div');
+        row.className = 'template-row';
+        const name = document.createElement('span');
+        name.className = 'template-name';
+        name.textContent = template.name;
+        const detail = document.createElement('span');
+        detail.className = 'template-detail';
+        const columns = template.columns.length === 1 ? '1 column' : `${template.columns.length} columns`;
+        detail.textContent = `${LinqlyBasket.typeLabels[pageType] || pageType} · ${columns} · ${template.format === 'xlsx' ? 'Excel' : 'CSV'}`;
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.textContent = 'Delete';
+        remove.addEventListener('click', () => LinqlyExportTemplates.remove(pageType, template.id));
+        row.append(name, detail, remove);
+        rows.push(row);
+      });
+    });
+
+    templateList.replaceChildren(...rows);
+    templateEmpty.style.display = rows.length ? 'none' : '';
+  }
+
+  async function renderProfile() {
+    const profile = await LinqlySelectorOverrides.load();
+    profileRemove.disabled = !profile;
+    profileJson.textContent = profile ? JSON.stringify(profile, null, 2) : '';
+    if (!profile) {
+      profileStatus.textContent = 'Using the built-in selectors.';
+      return;
+    }
+    const pages = Object.keys(profile.pages);
+    profileStatus.textContent = `${profile.name || 'Unnamed profile'}: overrides for ${pages.length ? pages.join(', ') : 'no pages'}.`;
+  }
+
+  // Read the file picked in a hidden file input and clear the input so the same file can be picked again
+  async function readPickedFile(input) {
+    const file = input.files[0];
+    input.value = '';
+    return file ? file.text() : null;
+  }
+
+  async function importProfile() {
+    const text = await readPickedFile(profileFile);
+    if (text === null) return;
+
+    const result = await LinqlySelectorOverrides.import(text);
+    showErrors(profileErrors, result.errors || []);
+    await renderProfile();
+  }
+
+  async function exportSettings() {
+    const data = await LinqlySettingsFile.build();
+    const date = new Date().toISOString().slice(0, 10);
+    LinqlyExport.download(`linqly-settings-${date}.json`, JSON.stringify(data, null, 2), 'application/json');
+    settingsStatus.textContent = 'Settings exported.';
+  }
+
+  // The storage listener below redraws the page with the imported values
+  async function importSettings() {
+    const text = await readPickedFile(settingsFile);
+    if (text === null) return;
+
+    const result = await LinqlySettingsFile.import(text);
+    showErrors(settingsErrors, result.errors || []);
+    if (result.partial) {
+      settingsStatus.textContent = 'The import stopped partway and some settings may have changed; check them below.';
+    } else {
+      settingsStatus.textContent = result.errors
+        ? 'Nothing was changed; fix the file and import it again.'
+        : 'Settings imported. Open Clio tabs use them right away.';
+    }
+  }
+
+  // Load everything when the page opens
+  await loadSettings();
+  await renderTemplates();
+  await renderProfile();
+
+  // Add event listeners
+  settingToggles.forEach(toggle => {
+    toggle.addEventListener('change', () => {
+      chrome.storage.sync.set({ [toggle.dataset.setting]: toggle.checked });
+    });
+  });
+  toggleEnabled.addEventListener('change', updateGroupState);
+  document.getElementById('shortcut-reset').addEventListener('click', resetShortcuts);
+  document.getElementById('settings-export').addEventListener('click', exportSettings);
+  document.getElementById('settings-import').addEventListener('click', () => settingsFile.click());
+  settingsFile.addEventListener('change', importSettings);
+  document.getElementById('profile-import').addEventListener('click', () => profileFile.click());
+  profileFile.addEventListener('change', importProfile);
+  profileRemove.addEventListener('click', async () => {
+    await LinqlySelectorOverrides.clear();
+    showErrors(profileErrors, []);
+    await renderProfile();
+  });
+
+  // Keep the page current when the popup, a Clio tab or an import changes something
+  chrome.storage.onChanged.addListener((changes, namespace) => {
+    if (namespace === 'sync' && Object.keys(changes).some(key => key in LinqlySettings.defaults)) {
+      loadSettings();
+    }
+    if (namespace === 'sync' && Object.keys(changes).some(key => LinqlyExportTemplates.isStorageKey(key))) {
+      renderTemplates();
+    }
+    if (namespace === 'local' && LinqlySelectorOverrides.storageKey in changes) {
+      renderProfile();
+    }
+  });
+});
@@ -0,0 +1,31 @@
+/* ========= Linqly Extension: Calendar Page Module =========
+   Handles row selection in the calendar's agenda (list) view. The day,
+   week and month views have no rows, so the module only attaches once
+   the agenda table is on screen. Off unless turned on in settings.
+===================================================================== */
+
+const LinqlyCalendarPage = LinqlySelectionEngine.create({
+    name: 'Calendar Page',
+    settingKey: 'linqly_page_calendar',
+    priority: 20,
+    checkboxType: 'native',
+    gridSelector: '.k-scheduler-agendaview .k-scheduler-content',
+    gridOptional: true,
+
+    selectors: {
+        // The first row of each day starts with a date cell that spans the day's rows
+        checkbox: 'td.row-selection-checkbox input[type="checkbox"], td:not(.k-scheduler-datecolumn):not(.k-scheduler-groupcolumn) input[type="checkbox"]'
+    },
+
+    urlPattern: /\/calendars?(?:[/?#]|$)/,
+    excludePattern: /\/calendar_entries\/(new|edit|create)|\/calendars?\/(new|edit|create)/
+});
+
+LinqlyPageRegistry.register(LinqlyCalendarPage);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LinqlyCalendarPage;
+} else {
+    window.LinqlyCalendarPage = LinqlyCalendarPage;
+}
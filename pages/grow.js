@@ -0,0 +1,31 @@
+/* ========= Linqly Extension: Clio Grow Leads Module =========
+   Handles row selection for the leads list in Clio Grow (grow.clio.com).
+   Grow renders plain tables rather than Kendo grids. Off unless turned
+   on in settings.
+===================================================================== */
+
+const LinqlyGrowLeadsPage = LinqlySelectionEngine.create({
+    name: 'Clio Grow Leads',
+    settingKey: 'linqly_page_grow',
+    priority: 20,
+    checkboxType: 'native',
+    gridSelector: '[data-testid="leads-table"] tbody, .leads-table tbody',
+
+    selectors: {
+        row: 'tr',
+        checkbox: 'td:first-child input[type="checkbox"]'
+    },
+
+    urlPattern: /^https:\/\/grow\.clio\.com\/(?:[^?#]*\/)?leads(?:[/?#]|$)/,
+    // Skip the intake form and a single lead's page
+    excludePattern: /\/leads\/(new|edit|create|\d+)/
+});
+
+LinqlyPageRegistry.register(LinqlyGrowLeadsPage);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LinqlyGrowLeadsPage;
+} else {
+    window.LinqlyGrowLeadsPage = LinqlyGrowLeadsPage;
+}
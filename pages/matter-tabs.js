@@ -0,0 +1,47 @@
+/* ========= Linqly Extension: Matter Tab Modules =========
+   Row selection for the Documents, Tasks, Bills and Contacts tabs inside a
+   single matter (/matters/123/documents and so on). Each tab reuses the
+   checkbox selectors and toggle of its top-level page module, but only
+   matches inside a matter and attaches to the grid that is on screen.
+   Exports from these tabs name the matter (see `LinqlyExport.addMatterColumn`).
+===================================================================== */
+
+const LinqlyMatterTabPages = [
+    { tab: 'documents', page: LinqlyDocumentsPage },
+    { tab: 'tasks', page: LinqlyTasksPage },
+    { tab: 'bills', page: LinqlyBillingPage },
+    { tab: 'contacts', page: LinqlyContactsPage }
+].map(({ tab, page }) => LinqlySelectionEngine.create({
+    name: `Matter ${page.name}`,
+    settingKey: page.settingKey,
+    // Ahead of the top-level modules, whose broader patterns also match these routes
+    priority: 40,
+    totals: page.totals,
+    checkboxType: page.checkboxType,
+    selectors: page.selectors,
+
+    urlPattern: new RegExp(`/matters/\\d+/${tab}(?:[/?#]|$)`),
+    excludePattern: new RegExp(`/matters/\\d+/${tab}/(new|edit|create)`),
+
+    /* The matter page can keep grids from other tabs in the DOM; use the one on screen */
+    findGridContent(useFallbacks = false) {
+        const gridSelector = this.getGridSelector();
+        const strategies = useFallbacks
+            ? LinqlyDiagnostics.strategiesFor('grid', gridSelector)
+            : [{ name: 'module', selector: gridSelector }];
+        const match = LinqlyDiagnostics.resolve(this.name, 'grid', strategies.map(strategy => ({
+            ...strategy,
+            accept: content => content.offsetParent !== null
+        })));
+        return match ? match.element : null;
+    }
+}));
+
+LinqlyMatterTabPages.forEach(page => LinqlyPageRegistry.register(page));
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LinqlyMatterTabPages;
+} else {
+    window.LinqlyMatterTabPages = LinqlyMatterTabPages;
+}
@@ -7,12 +7,19 @@ class NewBillsRowSelector {
     constructor() {
         this.isInitialized = false;
         this.observer = null;
+        this.table = null; // The tree view the handlers are attached to
         this.boundHandleTableClick = null;
         this.boundHandleKeydown = null;
         this.boundHandlePageClick = null;
         this.boundHandleTableMouseDown = null;
         this.boundHandleTableMouseUp = null;
+        this.boundHandleTableChange = null;
+        this.boundRenderSummary = null;
+        this.boundHandleGenerateClick = null;
         this.lastClickedRow = null; // Track anchor row for shift+click
+        this.syncTimeout = null;
+        this.summaryAcknowledged = false;
+        this.largeMatterAmount = 50000; // Matters at or above this unbilled amount get a warning in the summary
     }
 
     shouldInitialize() {
@@ -22,6 +29,26 @@ class NewBillsRowSelector {
         return shouldInit;
     }
 
+    /* Built-in selectors for the tree view, with the imported profile's "new_bills" entry on top.
+       Client and matter rows are still told apart by Clio's cc-tree-view-item/-subitem classes. */
+    getSelectors() {
+        const { exclude, ...overrides } = LinqlySelectorOverrides.get('new_bills');
+        return {
+            grid: '.cc-tree-view',
+            row: 'tr.cc-tree-view-item, tr.cc-tree-view-subitem',
+            checkbox: 'input[type="checkbox"]',
+            ...overrides,
+            // The profile's exclude adds to the links and buttons, like on the other pages
+            exclude: exclude
+                ? `a, button, [role="button"], .th-icon-button, ${exclude}`
+                : 'a, button, [role="button"], .th-icon-button'
+        };
+    }
+
+    getTable() {
+        return document.querySelector(this.getSelectors().grid);
+    }
+
     init() {
         if (this.isInitialized) return;
         
@@ -33,23 +60,33 @@ class NewBillsRowSelector {
         this.boundHandlePageClick = this.handlePageClick.bind(this);
         this.boundHandleTableMouseDown = this.handleTableMouseDown.bind(this);
         this.boundHandleTableMouseUp = this.handleTableMouseUp.bind(this);
+        this.boundHandleTableChange = this.handleTableChange.bind(this);
+        this.boundRenderSummary = this.renderSummary.bind(this);
+        this.boundHandleGenerateClick = this.handleGenerateClick.bind(this);
         
         // Setup initial handlers
         this.setupTableHandlers();
         this.setupDeselectHandlers();
         this.setupRouteObserver();
         this.injectTextSelectionPreventionCSS();
+        document.addEventListener('linqly:selectionchange', this.boundRenderSummary);
+        // Capture phase, ahead of Clio's own handler on the generate button
+        document.addEventListener('click', this.boundHandleGenerateClick, true);
         
         this.isInitialized = true;
     }
 
     setupTableHandlers() {
-        const table = document.querySelector('.cc-tree-view');
+        const table = this.getTable();
         if (table) {
             console.log('[Linqly] Found new bills table, setting up handlers');
+            this.table = table;
             table.addEventListener('click', this.boundHandleTableClick);
             table.addEventListener('mousedown', this.boundHandleTableMouseDown, true);
             table.addEventListener('mouseup', this.boundHandleTableMouseUp, true);
+            table.addEventListener('change', this.boundHandleTableChange);
+            this.setupTreeTools(table);
+            this.setupSummary(table);
             return true;
         }
         return false;
@@ -78,7 +115,7 @@ class NewBillsRowSelector {
         // Create an observer instance
         this.observer = new MutationObserver((mutations) => {
             // Check if the new bills table is now in the DOM
-            const table = document.querySelector('.cc-tree-view');
+            const table = this.getTable();
             if (table) {
                 console.log('[Linqly] Detected route change to new bills page');
                 this.setupTableHandlers();
@@ -94,34 +131,55 @@ class NewBillsRowSelector {
         console.log('[Linqly] New Bills Page route observer initialized');
     }
 
+    /* Check or uncheck a tree row the way Clio's Angular checkbox expects */
+    setRowCheckbox(row, checked) {
+        const cb = row.querySelector(this.getSelectors().checkbox);
+        if (cb && cb.checked !== checked) {
+            cb.checked = checked;
+            ['change', 'input'].forEach(eventType => {
+                const evt = new Event(eventType, { bubbles: true, cancelable: true });
+                cb.dispatchEvent(evt);
+            });
+            if (typeof cb.click === 'function') {
+                setTimeout(() => { cb.click(); }, 10);
+            }
+        }
+    }
+
+    // Plain click toggles, Ctrl/Cmd+click toggles one row and moves the anchor,
+    // Shift+click replaces the selection with a range, Ctrl/Cmd+Shift+click adds a range
     handleTableClick(event) {
+        const selectors = this.getSelectors();
+
         // Find the closest row
-        const row = event.target.closest('tr.cc-tree-view-item, tr.cc-tree-view-subitem');
+        const row = event.target.closest(selectors.row);
         if (!row) return;
 
         // Find the checkbox within this row
-        const checkbox = row.querySelector('input[type="checkbox"]');
+        const checkbox = row.querySelector(selectors.checkbox);
         if (!checkbox) return;
 
         // Don't interfere with direct checkbox clicks or interactive elements
         const isDirectCheckboxClick = event.target === checkbox || 
-                                     event.target.closest('input[type="checkbox"]') === checkbox ||
+                                     event.target.closest(selectors.checkbox) === checkbox ||
                                      event.target.closest('.th-checkbox') === checkbox.closest('.th-checkbox') ||
                                      event.target.closest('label') ||
-                                     event.target.closest('a, button, [role="button"], .th-icon-button');
+                                     event.target.closest(selectors.exclude);
         if (isDirectCheckboxClick) {
             console.log('[Linqly] Direct checkbox click detected, not interfering');
             return;
         }
 
         // Get all visible rows in DOM order
-        const allRows = Array.from(document.querySelectorAll('.cc-tree-view tr.cc-tree-view-item, .cc-tree-view tr.cc-tree-view-subitem'));
+        const allRows = this.getTreeRows();
         const isParentRow = row.classList.contains('cc-tree-view-item');
         const isChildRow = row.classList.contains('cc-tree-view-subitem');
         const rowIndex = allRows.indexOf(row);
+        const isToggleClick = event.ctrlKey || event.metaKey;
 
         // Shift+Click logic
-        if (event.shiftKey && this.lastClickedRow && allRows.includes(this.lastClickedRow)) {
+        if (event.shiftKey && this.lastClickedRow && allRows.includes(this.lastClickedRow) &&
+            LinqlySettings.get('linqly_shift_range_select')) {
             const anchorIndex = allRows.indexOf(this.lastClickedRow);
             const targetIndex = rowIndex;
             const [start, end] = [Math.min(anchorIndex, targetIndex), Math.max(anchorIndex, targetIndex)];
@@ -132,20 +190,14 @@ class NewBillsRowSelector {
             const targetIsParent = targetRow.classList.contains('cc-tree-view-item');
             const targetIsChild = targetRow.classList.contains('cc-tree-view-subitem');
 
-            // Helper: select a row's checkbox
-            const selectCheckbox = (row) => {
-                const cb = row.querySelector('input[type="checkbox"]');
-                if (cb && !cb.checked) {
-                    cb.checked = true;
-                    ['change', 'input'].forEach(eventType => {
-                        const evt = new Event(eventType, { bubbles: true, cancelable: true });
-                        cb.dispatchEvent(evt);
-                    });
-                    if (typeof cb.click === 'function') {
-                        setTimeout(() => { cb.click(); }, 10);
-                    }
-                }
-            };
+            const selectCheckbox = (row) => this.setRowCheckbox(row, true);
+
+            // Without Ctrl/Cmd the range replaces whatever was selected outside it
+            if (!isToggleClick) {
+                allRows.forEach((otherRow, i) => {
+                    if (i < start || i > end) this.setRowCheckbox(otherRow, false);
+                });
+            }
 
             if (anchorIsChild && targetIsChild) {
                 // Only select child rows in the range
@@ -155,27 +207,28 @@ class NewBillsRowSelector {
                     }
                 }
             } else {
-                // Select all rows in the range, inclusive
+                // Select all rows in the range, inclusive; a parent in the range brings its whole subtree
                 for (let i = start; i <= end; i++) {
                     selectCheckbox(allRows[i]);
+                    if (allRows[i].classList.contains('cc-tree-view-item')) {
+                        this.getChildRows(allRows[i], allRows).forEach(selectCheckbox);
+                    }
                 }
             }
+            this.scheduleParentSync();
             // Do NOT update lastClickedRow on shift+click
             return;
         }
 
-        // Normal click logic (no shift):
+        // Normal click logic (no shift); Ctrl/Cmd+click works even with row-click select off
+        if (!isToggleClick && !LinqlySettings.get('linqly_row_click_select')) {
+            console.log('[Linqly] Row-click select is turned off, ignoring');
+            return;
+        }
         if (isParentRow) {
-            const currentState = checkbox.checked;
-            const newState = !currentState;
-            checkbox.checked = newState;
-            ['change', 'input'].forEach(eventType => {
-                const evt = new Event(eventType, { bubbles: true, cancelable: true });
-                checkbox.dispatchEvent(evt);
-            });
-            if (typeof checkbox.click === 'function') {
-                setTimeout(() => { checkbox.click(); }, 10);
-            }
+            // A partly selected parent selects the rest of its children
+            const newState = checkbox.indeterminate || !checkbox.checked;
+            this.setSubtree(row, newState, allRows);
         } else if (isChildRow) {
             const currentState = checkbox.checked;
             const newState = !currentState;
@@ -187,11 +240,162 @@ class NewBillsRowSelector {
             if (typeof checkbox.click === 'function') {
                 setTimeout(() => { checkbox.click(); }, 10);
             }
+            this.scheduleParentSync();
         }
         // Update anchor row for future shift+clicks
         this.lastClickedRow = row;
     }
 
+    getTreeRows() {
+        const table = this.getTable();
+        return table ? Array.from(table.querySelectorAll(this.getSelectors().row)) : [];
+    }
+
+    // Children of a parent row: the subitems between it and the next parent
+    getChildRows(parentRow, allRows = this.getTreeRows()) {
+        return allRows.filter(row =>
+            row.classList.contains('cc-tree-view-subitem') && this.findParentRow(row, allRows) === parentRow
+        );
+    }
+
+    // Check or uncheck a parent together with all of its children
+    setSubtree(parentRow, checked, allRows = this.getTreeRows()) {
+        const checkbox = parentRow.querySelector(this.getSelectors().checkbox);
+        if (checkbox) checkbox.indeterminate = false;
+        this.setRowCheckbox(parentRow, checked);
+        this.getChildRows(parentRow, allRows).forEach(child => this.setRowCheckbox(child, checked));
+        this.scheduleParentSync();
+    }
+
+    // Checkboxes ticked directly by the user: a parent cascades to its children, a child re-derives its parent.
+    // Our own changes dispatch untrusted events and sync the parents themselves, so they are skipped here.
+    handleTableChange(event) {
+        const selectors = this.getSelectors();
+        const checkbox = event.target;
+        if (!event.isTrusted || !checkbox.matches || !checkbox.matches(selectors.checkbox)) return;
+
+        const row = checkbox.closest(selectors.row);
+        if (!row) return;
+
+        if (row.classList.contains('cc-tree-view-item')) {
+            this.setSubtree(row, checkbox.checked);
+        } else {
+            this.scheduleParentSync();
+        }
+    }
+
+    // Wait for the delayed checkbox clicks in setRowCheckbox before reading states
+    scheduleParentSync() {
+        clearTimeout(this.syncTimeout);
+        this.syncTimeout = setTimeout(() => this.syncParents(), 50);
+    }
+
+    // A parent is checked when all its children are, clear when none are, and indeterminate in between
+    syncParents() {
+        const checkboxSelector = this.getSelectors().checkbox;
+        const allRows = this.getTreeRows();
+        allRows.filter(row => row.classList.contains('cc-tree-view-item')).forEach(parentRow => {
+            const checkbox = parentRow.querySelector(checkboxSelector);
+            const children = this.getChildRows(parentRow, allRows)
+                .map(child => child.querySelector(checkboxSelector))
+                .filter(Boolean);
+            if (!checkbox || children.length === 0) return;
+
+            const checkedCount = children.filter(child => child.checked).length;
+            const allChecked = checkedCount === children.length;
+            checkbox.indeterminate = checkedCount > 0 && !allChecked;
+            this.setRowCheckbox(parentRow, allChecked);
+        });
+        LinqlyUtils.notifySelectionChange();
+    }
+
+    /* ---- Tree helpers: collapse/expand all and select by unbilled balance ---- */
+
+    setupTreeTools(table) {
+        if (document.getElementById('linqly-newbills-tools')) return;
+
+        const tools = document.createElement('div');
+        tools.id = 'linqly-newbills-tools';
+        tools.setAttribute('data-linqly-ui', '');
+        tools.innerHTML = `
+            <button type="button" data-action="expand">Expand all</button>
+            <button type="button" data-action="collapse">Collapse all</button>
+            <label>Select clients with unbilled balance over $<input type="number" min="0" step="any" class="linqly-balance-input"></label>
+            <button type="button" data-action="select-balance">Select</button>`;
+        tools.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+
+            if (button.dataset.action === 'expand') {
+                this.setAllExpanded(true);
+            } else if (button.dataset.action === 'collapse') {
+                this.setAllExpanded(false);
+            } else {
+                const input = tools.querySelector('.linqly-balance-input');
+                const threshold = parseFloat(input.value);
+                if (Number.isNaN(threshold)) {
+                    input.focus();
+                    return;
+                }
+                this.selectClientsAbove(threshold);
+            }
+        });
+        tools.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' && event.target.classList.contains('linqly-balance-input')) {
+                tools.querySelector('[data-action="select-balance"]').click();
+            }
+        });
+        table.before(tools);
+    }
+
+    // Click each parent's expand/collapse toggle that is not already in the wanted state
+    setAllExpanded(expanded) {
+        const allRows = this.getTreeRows();
+        let toggled = 0;
+        allRows.filter(row => row.classList.contains('cc-tree-view-item')).forEach(parentRow => {
+            const toggle = parentRow.querySelector('[aria-expanded], .cc-tree-view-toggle, .cc-tree-view-expander');
+            if (!toggle) return;
+
+            const isExpanded = toggle.hasAttribute('aria-expanded')
+                ? toggle.getAttribute('aria-expanded') === 'true'
+                : this.getChildRows(parentRow, allRows).length > 0;
+            if (isExpanded !== expanded) {
+                toggle.click();
+                toggled++;
+            }
+        });
+        console.log(`[Linqly] ${expanded ? 'Expanded' : 'Collapsed'} ${toggled} new bills groups`);
+    }
+
+    // Unbilled balance of a client row: the balance/amount column, else the last money cell
+    getUnbilledBalance(parentRow, columns) {
+        const values = LinqlyExport.getRowValues(parentRow, columns);
+        const column = columns.findIndex(candidate => /unbilled|balance/i.test(candidate.title));
+        const texts = column !== -1 ? [values[column]] : values.slice().reverse();
+        for (const text of texts) {
+            const money = LinqlyXlsx.parseMoney(text || '');
+            if (money) return money.value;
+        }
+        return null;
+    }
+
+    selectClientsAbove(threshold) {
+        const table = this.getTable();
+        if (!table) return;
+
+        const columns = LinqlyExport.getColumns(table);
+        const allRows = this.getTreeRows();
+        const matches = allRows
+            .filter(row => row.classList.contains('cc-tree-view-item'))
+            .filter(row => {
+                const balance = this.getUnbilledBalance(row, columns);
+                return balance !== null && balance > threshold;
+            });
+
+        matches.forEach(row => this.setSubtree(row, true, allRows));
+        LinqlyUtils.showNotice(`Selected ${matches.length} client${matches.length === 1 ? '' : 's'} with unbilled balance over $${threshold}`);
+    }
+
     // Helper to find the parent row for a child row
     findParentRow(childRow, allRows) {
         let idx = allRows.indexOf(childRow);
@@ -206,7 +410,10 @@ class NewBillsRowSelector {
 
     deselectAll() {
         // For new bills page, manually uncheck all checkboxes since there's no clear selection button
-        const checkboxes = document.querySelectorAll('.cc-tree-view input[type="checkbox"]:checked');
+        const checkboxSelector = this.getSelectors().checkbox;
+        const checkboxes = this.getTreeRows()
+            .map(row => row.querySelector(checkboxSelector))
+            .filter(checkbox => checkbox && checkbox.checked);
         
         console.log('[Linqly] DeselectAll called, found checkboxes:', checkboxes.length);
         
@@ -238,27 +445,75 @@ class NewBillsRowSelector {
         } else {
             console.log('[Linqly] No checkboxes to deselect on new bills page');
         }
+        this.scheduleParentSync();
+    }
+
+    /* ---- Alt+letter commands; a client row always takes its matters with it ---- */
+
+    selectAllVisible() {
+        const allRows = this.getTreeRows();
+        allRows
+            .filter(row => row.classList.contains('cc-tree-view-item') && row.offsetParent !== null)
+            .forEach(row => this.setSubtree(row, true, allRows));
+    }
+
+    invertSelection() {
+        const checkboxSelector = this.getSelectors().checkbox;
+        const allRows = this.getTreeRows();
+        allRows.forEach(row => {
+            // Clients with matters are re-derived from them in syncParents
+            if (row.classList.contains('cc-tree-view-item') && this.getChildRows(row, allRows).length > 0) return;
+            const checkbox = row.querySelector(checkboxSelector);
+            if (checkbox) this.setRowCheckbox(row, !checkbox.checked);
+        });
+        this.scheduleParentSync();
+    }
+
+    clearSelection() {
+        this.deselectAll();
     }
 
     handleKeydown(event) {
-        if (event.key === 'Escape') {
+        if (event.key === 'Escape' && LinqlySettings.get('linqly_escape_deselect')) {
             this.deselectAll();
+            return;
         }
+
+        if (!LinqlySettings.get('linqly_keyboard_commands') || LinqlyUtils.isTypingTarget(event.target)) return;
+
+        // Alt+letter commands, mapped on the options page
+        const shortcut = LinqlyShortcuts.match(event);
+        if (!shortcut) return;
+
+        event.preventDefault();
+        if (shortcut.copyFormat) {
+            LinqlyExport.copySelected(shortcut.copyFormat, this.getTable()).catch(error => {
+                console.error('[Linqly] Error copying selected items:', error);
+            });
+            return;
+        }
+
+        console.log(`[Linqly] Keyboard command: ${shortcut.command}`);
+        this[shortcut.command]();
     }
 
     handlePageClick(event) {
         const target = event.target;
         
-        // Exit if the user clicked on a link, button, or an icon within a button
-        if (target.closest('a, button, [role="button"]')) {
+        if (!LinqlySettings.get('linqly_click_away_deselect')) {
+            return;
+        }
+        
+        // Exit if the user clicked on a link, button, or an icon within a button, or on Linqly's own panels
+        if (target.closest('a, button, [role="button"], [data-linqly-ui]')) {
             return;
         }
         
         // Find the new bills table
-        const newBillsTable = document.querySelector('.cc-tree-view');
+        const newBillsTable = this.getTable();
         
         // If we clicked outside the new bills table area, deselect all
-        if (newBillsTable && !target.closest('.cc-tree-view')) {
+        if (newBillsTable && !newBillsTable.contains(target)) {
             this.deselectAll();
         }
     }
@@ -268,13 +523,24 @@ class NewBillsRowSelector {
         
         console.log('[Linqly] Detaching New Bills Page feature');
         
-        // Remove table click handler
-        const table = document.querySelector('.cc-tree-view');
+        // Remove table click handler from the table it was attached to; a new selector profile may not match it
+        const table = this.table;
         if (table) {
             table.removeEventListener('click', this.boundHandleTableClick);
             table.removeEventListener('mousedown', this.boundHandleTableMouseDown, true);
             table.removeEventListener('mouseup', this.boundHandleTableMouseUp, true);
+            table.removeEventListener('change', this.boundHandleTableChange);
+            this.table = null;
         }
+        clearTimeout(this.syncTimeout);
+
+        document.removeEventListener('linqly:selectionchange', this.boundRenderSummary);
+        document.removeEventListener('click', this.boundHandleGenerateClick, true);
+
+        ['linqly-newbills-tools', 'linqly-newbills-summary'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) element.remove();
+        });
         
         // Remove deselect handlers
         if (this.boundHandleKeydown) {
@@ -298,6 +564,143 @@ class NewBillsRowSelector {
         console.log('[Linqly] New Bills Page feature fully detached');
     }
 
+    /* ---- Pre-flight summary of the bills about to be generated ---- */
+
+    setupSummary(table) {
+        if (document.getElementById('linqly-newbills-summary')) return;
+
+        const summary = document.createElement('div');
+        summary.id = 'linqly-newbills-summary';
+        summary.setAttribute('role', 'region');
+        summary.setAttribute('aria-label', 'Bills to generate');
+        summary.setAttribute('data-linqly-ui', '');
+        summary.hidden = true;
+        table.before(summary);
+        this.renderSummary();
+    }
+
+    // Label of a tree row: its first cell that is not an amount
+    getRowLabel(row, columns) {
+        const label = LinqlyExport.getRowValues(row, columns)
+            .find(text => text && !LinqlyXlsx.parseMoney(text));
+        return label || LinqlyExport.getCellText(row);
+    }
+
+    // Selected clients with their selected matters and unbilled amounts.
+    // A checked client whose matters are not rendered (collapsed) counts with its own balance.
+    getSelectedBatch() {
+        const table = this.getTable();
+        if (!table) return [];
+
+        const columns = LinqlyExport.getColumns(table);
+        const allRows = this.getTreeRows();
+        const checkboxSelector = this.getSelectors().checkbox;
+        const isChecked = row => {
+            const checkbox = row.querySelector(checkboxSelector);
+            return !!checkbox && checkbox.checked;
+        };
+
+        return allRows
+            .filter(row => row.classList.contains('cc-tree-view-item'))
+            .map(parentRow => {
+                const children = this.getChildRows(parentRow, allRows);
+                const matters = (children.length ? children.filter(isChecked) : (isChecked(parentRow) ? [parentRow] : []))
+                    .map(row => ({ name: this.getRowLabel(row, columns), amount: this.getUnbilledBalance(row, columns) }));
+                return {
+                    name: this.getRowLabel(parentRow, columns),
+                    matters,
+                    total: matters.reduce((sum, matter) => sum + (matter.amount || 0), 0)
+                };
+            })
+            .filter(client => client.matters.length > 0);
+    }
+
+    getBatchWarnings(batch) {
+        const warnings = [];
+        const limit = this.largeMatterAmount;
+        batch.forEach(client => client.matters.forEach(matter => {
+            const name = client.matters.length === 1 && matter.name === client.name ? client.name : `${client.name} / ${matter.name}`;
+            if (matter.amount === 0) {
+                warnings.push(`${name} has nothing unbilled`);
+            } else if (matter.amount !== null && matter.amount >= limit) {
+                warnings.push(`${name} is ${LinqlyTotals.formatAmount(matter.amount, '$')}, over ${LinqlyTotals.formatAmount(limit, '$')}`);
+            }
+        }));
+        return warnings;
+    }
+
+    renderSummary() {
+        const summary = document.getElementById('linqly-newbills-summary');
+        if (!summary) return;
+
+        // Any change to the selection needs a fresh review
+        this.summaryAcknowledged = false;
+
+        const batch = this.getSelectedBatch();
+        if (batch.length === 0) {
+            summary.hidden = true;
+            return;
+        }
+
+        const matterCount = batch.reduce((count, client) => count + client.matters.length, 0);
+        const total = batch.reduce((sum, client) => sum + client.total, 0);
+        const warnings = this.getBatchWarnings(batch);
+
+        const heading = document.createElement('div');
+        heading.className = 'linqly-summary-heading';
+        heading.textContent = `Bills to generate: ${batch.length} client${batch.length === 1 ? '' : 's'}, ` +
+            `${matterCount} matter${matterCount === 1 ? '' : 's'} · Total ${LinqlyTotals.formatAmount(total, '$')}`;
+
+        const list = document.createElement('ul');
+        batch.forEach(client => {
+            const item = document.createElement('li');
+            item.textContent = `${client.name} — ${LinqlyTotals.formatAmount(client.total, '$')}`;
+            const matters = document.createElement('ul');
+            client.matters.forEach(matter => {
+                const entry = document.createElement('li');
+                const amount = matter.amount === null ? '—' : LinqlyTotals.formatAmount(matter.amount, '$');
+                entry.textContent = `${matter.name}: ${amount}`;
+                matters.appendChild(entry);
+            });
+            item.appendChild(matters);
+            list.appendChild(item);
+        });
+
+        const children = [heading, list];
+        if (warnings.length > 0) {
+            const warningList = document.createElement('ul');
+            warningList.className = 'linqly-summary-warnings';
+            warnings.forEach(text => {
+                const entry = document.createElement('li');
+                entry.textContent = text;
+                warningList.appendChild(entry);
+            });
+            children.push(warningList);
+        }
+
+        summary.replaceChildren(...children);
+        summary.classList.toggle('has-warnings', warnings.length > 0);
+        summary.hidden = false;
+    }
+
+    // With warnings on screen, the first click on Clio's generate button only points at them
+    handleGenerateClick(event) {
+        const button = event.target.closest && event.target.closest('button, [role="button"], input[type="submit"]');
+        if (!button || button.closest('[data-linqly-ui]')) return;
+
+        const label = (button.textContent || button.value || '').trim();
+        if (!/\bgenerate\b/i.test(label)) return;
+
+        const summary = document.getElementById('linqly-newbills-summary');
+        if (!summary || summary.hidden || !summary.classList.contains('has-warnings') || this.summaryAcknowledged) return;
+
+        event.preventDefault();
+        event.stopPropagation();
+        this.summaryAcknowledged = true;
+        summary.scrollIntoView({ block: 'nearest' });
+        LinqlyUtils.showNotice('Check the warnings in the Linqly summary, then click Generate again.', 5000);
+    }
+
     // Prevent text selection during shift+click
     injectTextSelectionPreventionCSS() {
         if (document.getElementById('linqly-nb-text-selection-prevention')) return;
@@ -323,17 +726,17 @@ class NewBillsRowSelector {
     }
 
     handleTableMouseDown(event) {
-        if (event.shiftKey) {
-            const row = event.target.closest('tr.cc-tree-view-item, tr.cc-tree-view-subitem');
+        if (event.shiftKey && LinqlySettings.get('linqly_shift_range_select')) {
+            const row = event.target.closest(this.getSelectors().row);
             if (row) {
-                const table = document.querySelector('.cc-tree-view');
+                const table = this.getTable();
                 if (table) table.classList.add('shift-click-active');
             }
         }
     }
 
     handleTableMouseUp(event) {
-        const table = document.querySelector('.cc-tree-view');
+        const table = this.getTable();
         if (table) table.classList.remove('shift-click-active');
     }
 }
@@ -341,40 +744,14 @@ class NewBillsRowSelector {
 // Initialize the new bills row selector
 const newBillsRowSelector = new NewBillsRowSelector();
 
-console.log('[Linqly] New Bills Page script loaded for URL:', window.location.href);
-
-// Check if we should initialize on page load
-if (newBillsRowSelector.shouldInitialize()) {
-    console.log('[Linqly] New Bills Page script should initialize, calling init()');
-    newBillsRowSelector.init();
-} else {
-    console.log('[Linqly] New Bills Page script should not initialize for this URL');
-}
+// Let the page registry decide when to attach and detach
+LinqlyPageRegistry.register({
+    name: 'New Bills Page',
+    settingKey: 'linqly_page_new_bills',
+    priority: 30,
+    matchesUrl: (href) => href.includes('/bills/new_bills'),
+    initialize: () => newBillsRowSelector.init(),
+    detach: () => newBillsRowSelector.cleanup()
+});
 
-// Listen for route changes
-let currentPath = window.location.href;
-const checkRouteChange = () => {
-    const newPath = window.location.href;
-    if (newPath !== currentPath) {
-        console.log('[Linqly] New Bills Page script detected route change from', currentPath, 'to', newPath);
-        currentPath = newPath;
-        
-        if (newBillsRowSelector.shouldInitialize()) {
-            console.log('[Linqly] New Bills Page script should initialize after route change');
-            newBillsRowSelector.init();
-        } else {
-            console.log('[Linqly] New Bills Page script should not initialize after route change, cleaning up');
-            newBillsRowSelector.cleanup();
-        }
-    }
-};
-
-// Set up route change detection
-window.addEventListener('hashchange', checkRouteChange);
-window.addEventListener('popstate', checkRouteChange);
-
-// Also observe DOM changes for SPA navigation
-const routeObserver = new MutationObserver(checkRouteChange);
-routeObserver.observe(document.body, { childList: true, subtree: true });
-
-console.log('[Linqly] New Bills Page script setup complete'); 
\ No newline at end of file
+console.log('[Linqly] New Bills Page script loaded for URL:', window.location.href);
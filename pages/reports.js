@@ -0,0 +1,28 @@
+/* ========= Linqly Extension: Reports Page Module =========
+   Handles row selection for the saved and generated reports lists.
+   Off unless turned on in settings.
+===================================================================== */
+
+const LinqlyReportsPage = LinqlySelectionEngine.create({
+    name: 'Reports Page',
+    settingKey: 'linqly_page_reports',
+    priority: 20,
+    checkboxType: 'native',
+
+    selectors: {
+        checkbox: 'td.row-selection-checkbox input[type="checkbox"], .th-checkbox input[type="checkbox"], .th-checkbox-basic input[type="checkbox"]'
+    },
+
+    urlPattern: /\/reports(?:[/?#]|$)/,
+    // Skip the report builder and a single report's output
+    excludePattern: /\/reports\/(new|edit|create|\d+)/
+});
+
+LinqlyPageRegistry.register(LinqlyReportsPage);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LinqlyReportsPage;
+} else {
+    window.LinqlyReportsPage = LinqlyReportsPage;
+}
@@ -0,0 +1,29 @@
+/* ========= Linqly Extension: Transactions Page Module =========
+   Handles row selection for the bank account transaction lists.
+   Off unless turned on in settings.
+===================================================================== */
+
+const LinqlyTransactionsPage = LinqlySelectionEngine.create({
+    name: 'Transactions Page',
+    settingKey: 'linqly_page_transactions',
+    priority: 20,
+    totals: true,
+    checkboxType: 'native',
+
+    selectors: {
+        checkbox: 'td.row-selection-checkbox input[type="checkbox"], .th-checkbox input[type="checkbox"], .th-checkbox-basic input[type="checkbox"]'
+    },
+
+    // /bank_transactions and /bank_accounts/:id/transactions
+    urlPattern: /\/(bank_)?transactions(?:[/?#]|$)/,
+    excludePattern: /\/transactions\/(new|edit|create)/
+});
+
+LinqlyPageRegistry.register(LinqlyTransactionsPage);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LinqlyTransactionsPage;
+} else {
+    window.LinqlyTransactionsPage = LinqlyTransactionsPage;
+}
@@ -0,0 +1,29 @@
+/* ========= Linqly Extension: Trust Page Module =========
+   Handles row selection for the trust transaction lists (trust listing,
+   trust requests and a trust account's ledger). Off unless turned on in settings.
+===================================================================== */
+
+const LinqlyTrustPage = LinqlySelectionEngine.create({
+    name: 'Trust Page',
+    settingKey: 'linqly_page_trust',
+    priority: 30,
+    totals: true,
+    checkboxType: 'native',
+
+    selectors: {
+        checkbox: 'td.row-selection-checkbox input[type="checkbox"], .th-checkbox input[type="checkbox"], .th-checkbox-basic input[type="checkbox"]'
+    },
+
+    // /trust_listing, /trust_requests and /bank_accounts/:id/trust; ahead of the Transactions module
+    urlPattern: /\/trust(?:_[a-z]+)?(?:[/?#]|$)/,
+    excludePattern: /\/trust(?:_[a-z]+)?\/(new|edit|create)/
+});
+
+LinqlyPageRegistry.register(LinqlyTrustPage);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LinqlyTrustPage;
+} else {
+    window.LinqlyTrustPage = LinqlyTrustPage;
+}
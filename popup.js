@@ -3,36 +3,57 @@
 document.addEventListener('DOMContentLoaded', async () => {
   // Get DOM elements
   const toggleEnabled = document.getElementById('toggle-enabled');
+  const settingToggles = Array.from(document.querySelectorAll('input[data-setting]'));
+  const settingsGroup = document.getElementById('settings-group');
   const drawerToggle = document.getElementById('drawer-toggle');
   const drawerContent = document.getElementById('drawer-content');
   const drawerIcon = drawerToggle.querySelector('.drawer-icon');
+  const basketCount = document.getElementById('basket-count');
+  const basketList = document.getElementById('basket-list');
+  const basketEmpty = document.getElementById('basket-empty');
+  const basketButtons = ['basket-apply', 'basket-export', 'basket-clear'].map(id => document.getElementById(id));
+  const templateList = document.getElementById('template-list');
+  const templateEmpty = document.getElementById('template-empty');
+  const profileStatus = document.getElementById('profile-status');
+  const profileRemove = document.getElementById('profile-remove');
+
+  // Grey out the individual toggles while Linqly is switched off
+  function updateGroupState() {
+    settingsGroup.classList.toggle('disabled', !toggleEnabled.checked);
+  }
 
   // Load settings from storage
   async function loadSettings() {
-    const settings = await chrome.storage.sync.get({
-      linqly_enabled: true
+    const settings = await chrome.storage.sync.get(LinqlySettings.defaults);
+
+    settingToggles.forEach(toggle => {
+      toggle.checked = settings[toggle.dataset.setting];
+    });
+    updateGroupState();
+
+    // The help drawer shows the letters mapped on the options page
+    document.querySelectorAll('.shortcut-key[data-shortcut]').forEach(key => {
+      key.textContent = LinqlyShortcuts.label(settings[key.dataset.shortcut]);
     });
-    
-    toggleEnabled.checked = settings.linqly_enabled;
   }
 
   // Toggle a setting and update storage
   async function toggleSetting(key, element) {
     const value = element.checked;
     console.log(`Toggling ${key} to ${value}`);
-    
+
     // Update storage
     await chrome.storage.sync.set({ [key]: value });
-    
+
     // Send message to update background script
     chrome.runtime.sendMessage({ action: 'updateSetting', key, value });
-    
+
     // Notify ALL content scripts in ALL tabs that match Clio URL pattern
     // This ensures the setting is applied across all open Clio tabs
     try {
       const tabs = await chrome.tabs.query({ url: '*://*.clio.com/*' });
       console.log(`Found ${tabs.length} Clio tabs to update`);
-      
+
       for (const tab of tabs) {
         chrome.tabs.sendMessage(tab.id, {
           type: 'SETTINGS_UPDATED',
@@ -53,10 +74,112 @@ document.addEventListener('DOMContentLoaded', async () => {
     drawerIcon.classList.toggle('open');
   }
 
+  // Show the basket kept in session storage
+  async function renderBasket() {
+    const items = await LinqlyBasket.load();
+    basketCount.textContent = items.length;
+    basketEmpty.style.display = items.length ? 'none' : '';
+    basketButtons.forEach(button => { button.disabled = items.length === 0; });
+
+    basketList.replaceChildren(...items.map(item => {
+      const entry = document.createElement('li');
+      const type = document.createElement('span');
+      type.className = 'basket-type';
+      type.textContent = LinqlyBasket.typeLabels[item.type] || item.type;
+      const label = document.createElement('span');
+      label.className = 'basket-label';
+      label.textContent = item.label;
+      label.title = item.source ? `${item.label} (from ${item.source})` : item.label;
+      const remove = document.createElement('button');
+      remove.className = 'basket-remove';
+      remove.textContent = '×';
+      remove.title = 'Remove from basket';
+      remove.addEventListener('click', () => LinqlyBasket.remove([item.id]));
+      entry.append(type, label, remove);
+      return entry;
+    }));
+  }
+
+  // Ask the active Clio tab to check the basket's rows
+  async function applyBasket() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab) return;
+    chrome.tabs.sendMessage(tab.id, { type: 'APPLY_BASKET' }).catch((err) => {
+      console.log(`Could not reach tab ${tab.id}: ${err.message}`);
+    });
+  }
+
+  async function exportBasket() {
+    const items = await LinqlyBasket.load();
+    const date = new Date().toISOString().slice(0, 10);
+    const csv = '\uFEFF' + LinqlyExport.toCsv(LinqlyBasket.toExportData(items));
+    LinqlyExport.download(`linqly-basket-${date}.csv`, csv, 'text/csv;charset=utf-8');
+  }
+
+  // List the export templates saved for the page open in the active tab
+  async function renderTemplates() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const isClio = !!(tab && tab.url && /^https:\/\/[^/]*\.clio\.com\//.test(tab.url));
+    const templates = isClio ? await LinqlyExportTemplates.list(LinqlyUtils.getPageType(tab.url)) : [];
+    templateEmpty.style.display = templates.length ? 'none' : '';
+
+    templateList.replaceChildren(...templates.map(template => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = template.name;
+      button.title = `Export the selected rows with "${template.name}"`;
+      button.addEventListener('click', () => {
+        chrome.tabs.sendMessage(tab.id, { type: 'RUN_EXPORT_TEMPLATE', templateId: template.id }).catch((err) => {
+          console.log(`Could not reach tab ${tab.id}: ${err.message}`);
+        });
+      });
+      return button;
+    }));
+  }
+
+  // Show which selector profile is in use
+  async function renderProfile() {
+    const profile = await LinqlySelectorOverrides.load();
+    profileRemove.disabled = !profile;
+    if (!profile) {
+      profileStatus.textContent = 'Using the built-in selectors.';
+      return;
+    }
+    const pages = Object.keys(profile.pages);
+    profileStatus.textContent = `${profile.name || 'Unnamed profile'}: overrides for ${pages.length ? pages.join(', ') : 'no pages'}.`;
+  }
+
   // Load settings when popup opens
   await loadSettings();
+  await renderBasket();
+  await renderTemplates();
+  await renderProfile();
 
   // Add event listeners
-  toggleEnabled.addEventListener('click', () => toggleSetting('linqly_enabled', toggleEnabled));
+  settingToggles.forEach(toggle => {
+    toggle.addEventListener('click', () => toggleSetting(toggle.dataset.setting, toggle));
+  });
+  toggleEnabled.addEventListener('click', updateGroupState);
   drawerToggle.addEventListener('click', toggleDrawer);
-});
\ No newline at end of file
+  document.getElementById('open-options').addEventListener('click', (event) => {
+    event.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
+  document.getElementById('basket-apply').addEventListener('click', applyBasket);
+  document.getElementById('basket-export').addEventListener('click', exportBasket);
+  document.getElementById('basket-clear').addEventListener('click', () => LinqlyBasket.clear());
+  // Chrome closes the popup when a file picker opens, so profiles are imported on the options page
+  document.getElementById('profile-import').addEventListener('click', () => chrome.runtime.openOptionsPage());
+  profileRemove.addEventListener('click', async () => {
+    await LinqlySelectorOverrides.clear();
+    await renderProfile();
+  });
+  chrome.storage.onChanged.addListener((changes, namespace) => {
+    if (namespace === 'session' && LinqlyBasket.storageKey in changes) {
+      renderBasket();
+    }
+    if (namespace === 'sync' && Object.keys(changes).some(key => LinqlyExportTemplates.isStorageKey(key))) {
+      renderTemplates();
+    }
+  });
+});
@@ -0,0 +1,129 @@
+/* ========= Selection Basket for Linqly Extension =========
+   A list of records collected from any grid, kept in
+   chrome.storage.session so it survives navigation until the browser
+   closes. Content scripts add to it and re-apply it to grids; the popup
+   lists, exports and clears it.
+===================================================================== */
+
+const LinqlyBasket = {
+    storageKey: 'linqly_basket',
+
+    typeLabels: {
+        matters: 'Matter',
+        contacts: 'Contact',
+        tasks: 'Task',
+        activities: 'Activity',
+        bills: 'Bill',
+        documents: 'Document',
+        communications: 'Communication',
+        transactions: 'Transaction',
+        reports: 'Report',
+        leads: 'Lead'
+    },
+
+    /* Read the basket: [{ id, type, label, url, fields, source, addedAt }] */
+    async load() {
+        const res = await chrome.storage.session.get({ [this.storageKey]: [] });
+        return res[this.storageKey];
+    },
+
+    async save(items) {
+        await chrome.storage.session.set({ [this.storageKey]: items });
+    },
+
+    /* Add items, refreshing any already in the basket; resolves to the number of new records */
+    async add(newItems) {
+        const items = await this.load();
+        let added = 0;
+        newItems.forEach(item => {
+            const index = items.findIndex(existing => existing.id === item.id);
+            if (index === -1) {
+                items.push(item);
+                added++;
+            } else {
+                items[index] = { ...items[index], ...item, addedAt: items[index].addedAt };
+            }
+        });
+        await this.save(items);
+        return added;
+    },
+
+    async remove(ids) {
+        const items = await this.load();
+        await this.save(items.filter(item => !ids.includes(item.id)));
+    },
+
+    async clear() {
+        await chrome.storage.session.remove(this.storageKey);
+    },
+
+    /* Flatten the basket into { columns, rows } for LinqlyExport.toCsv; grid columns from every page are merged */
+    toExportData(items) {
+        const fieldTitles = [];
+        items.forEach(item => {
+            Object.keys(item.fields || {}).forEach(title => {
+                if (!fieldTitles.includes(title)) fieldTitles.push(title);
+            });
+        });
+
+        return {
+            columns: ['Type', 'Record', 'Link', 'Added from', ...fieldTitles],
+            rows: items.map(item => [
+                this.typeLabels[item.type] || item.type,
+                item.label,
+                item.url,
+                item.source,
+                ...fieldTitles.map(title => (item.fields && item.fields[title]) || '')
+            ])
+        };
+    },
+
+    /* Content scripts only: add the selected rows of a grid, the active page module's */
+    async addSelection(grid) {
+        const rows = grid ? LinqlyExport.getSelectedRows(grid) : [];
+        if (rows.length === 0) {
+            LinqlyUtils.showNotice('Select at least one row to add to the basket.');
+            return 0;
+        }
+
+        const type = LinqlyUtils.getPageType();
+        const columns = LinqlyExport.getColumns(grid);
+        const items = [];
+        rows.forEach(row => {
+            const link = LinqlyUtils.getRecordLink(row, type);
+            if (!link) return;
+
+            const values = LinqlyExport.getRowValues(row, columns);
+            const fields = {};
+            columns.forEach((column, index) => {
+                fields[column.title] = values[index];
+            });
+            items.push({
+                id: LinqlyUtils.getRecordId(row, type),
+                type,
+                label: LinqlyExport.getCellText(link) || LinqlyUtils.getRecordId(row, type),
+                url: link.href,
+                fields,
+                source: document.title,
+                addedAt: Date.now()
+            });
+        });
+
+        const skipped = rows.length - items.length;
+        const added = items.length > 0 ? await this.add(items) : 0;
+        const total = (await this.load()).length;
+        let message = `Added ${added} to the basket (${total} item${total === 1 ? '' : 's'})`;
+        if (skipped > 0) {
+            message += `; ${skipped} row${skipped === 1 ? ' has' : 's have'} no record link`;
+        }
+        LinqlyUtils.showNotice(message);
+        return added;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LinqlyBasket;
+} else {
+    window.LinqlyBasket = LinqlyBasket;
+}
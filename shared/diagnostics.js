@@ -0,0 +1,180 @@
+/* ========= Selector Diagnostics for Linqly Extension =========
+   Clio changes its markup from time to time. Page modules look up their
+   grid, rows, checkboxes and the clear-selection button through ranked
+   strategies here: the module's own selector first, then fallbacks that
+   match older and newer Clio markup. Which strategy matched is recorded
+   per page module. When nothing matches, a small indicator offers a
+   report that can be copied into a support ticket.
+===================================================================== */
+
+const LinqlyDiagnostics = {
+
+    /* Fallback strategies, best first. `accept` filters the candidates a selector returns. */
+    fallbacks: {
+        grid: [
+            { name: 'kendo-content', selector: '.k-grid-content' },
+            { name: 'kendo-table-wrap', selector: '.k-grid-table-wrap tbody' },
+            { name: 'th-data-table', selector: 'th-data-table tbody' },
+            { name: 'matters-table', selector: '[data-attr="matters-table"] tbody' },
+            // Only tables with a row-selection column; a bare checkbox may be a task's "done" box
+            { name: 'selection-table', selector: 'tbody:has(> tr > td.row-selection-checkbox, > tr .th-checkbox, > tr .th-checkbox-basic)' }
+        ],
+        row: [
+            { name: 'kendo-row', selector: 'tr[role="row"]:not(.k-grouping-row):not(.k-detail-row)' },
+            { name: 'body-row', selector: 'tbody > tr:not(.k-grouping-row):not(.k-detail-row)' }
+        ],
+        checkbox: [
+            { name: 'selection-cell', selector: 'td.row-selection-checkbox input[type="checkbox"]' },
+            { name: 'th-checkbox', selector: '.th-checkbox input[type="checkbox"], .th-checkbox-basic input[type="checkbox"]' },
+            { name: 'aria-checkbox', selector: 'span[role="checkbox"]' },
+            { name: 'first-cell', selector: 'td:first-child input[type="checkbox"]' }
+        ],
+        clearButton: [
+            { name: 'counter-clear', selector: 'a.counter-clear[ng-click*="clearSelection"]' },
+            { name: 'counter-clear-any', selector: '.counter-clear' },
+            { name: 'test-id', selector: '[data-test-id="clear-selection"], [data-testid="clear-selection"]' },
+            // The communications log is an Alpine.js table
+            { name: 'alpine', selector: 'a[x-on\\:click*="selected = []"]' },
+            {
+                // A "Clear" link next to a selection counter, never the filter bar's
+                name: 'counter-text',
+                selector: '[class*="counter"] a, [class*="counter"] button, [class*="selection"] a, [class*="selection"] button',
+                accept: element => /^clear( selection)?$/i.test(element.textContent.trim())
+            }
+        ]
+    },
+
+    /* 'Module name|target' -> { module, target, strategy, selector, found, tried } */
+    results: new Map(),
+    indicator: null,
+
+    /* Try each strategy under root and return the first match as { strategy, element }, or null.
+       The outcome is recorded for the report. */
+    resolve(moduleName, target, strategies, root = document) {
+        const tried = [];
+        for (const strategy of strategies) {
+            tried.push(strategy.name);
+            let candidates;
+            try {
+                candidates = Array.from(root.querySelectorAll(strategy.selector));
+            } catch (error) {
+                // e.g. :has() in an older browser
+                continue;
+            }
+
+            const element = strategy.accept ? candidates.find(strategy.accept) : candidates[0];
+            if (element) {
+                const changed = this.record(moduleName, target, { strategy: strategy.name, selector: strategy.selector, found: true, tried });
+                if (changed && tried.length > 1) {
+                    console.warn(`[Linqly] ${moduleName}: ${target} found with fallback "${strategy.name}"`);
+                }
+                return { strategy, element };
+            }
+        }
+
+        this.record(moduleName, target, { strategy: null, selector: null, found: false, tried });
+        return null;
+    },
+
+    /* The module's own selector as the first strategy, then the fallbacks for the target */
+    strategiesFor(target, selector) {
+        const own = selector ? [{ name: 'module', selector }] : [];
+        return [...own, ...this.fallbacks[target].filter(strategy => strategy.selector !== selector)];
+    },
+
+    /* Store a lookup outcome; returns true when it differs from the last one for that target */
+    record(moduleName, target, result) {
+        const key = `${moduleName}|${target}`;
+        const previous = this.results.get(key);
+        this.results.set(key, { module: moduleName, target, ...result });
+        return !previous || previous.found !== result.found || previous.strategy !== result.strategy;
+    },
+
+    /* Forget a module's results, e.g. when it attaches to a new route */
+    reset(moduleName) {
+        Array.from(this.results.keys())
+            .filter(key => key.startsWith(`${moduleName}|`))
+            .forEach(key => this.results.delete(key));
+    },
+
+    /* Plain-text report of what was looked for and what matched. The query string is left
+       out of the URL because Clio keeps search terms (client names) there. */
+    buildReport() {
+        const url = new URL(window.location.href);
+        const page = LinqlyPageRegistry.activePage;
+        const lines = [
+            'Linqly diagnostics report',
+            `Version: ${chrome.runtime.getManifest().version}`,
+            `Page: ${url.origin}${url.pathname}${url.hash.split('?')[0]}`,
+            `Page module: ${page ? page.name : 'none'}`,
+            `Selector profile: ${LinqlySelectorOverrides.profile ? LinqlySelectorOverrides.profile.name || 'unnamed' : 'none'}`,
+            `Time: ${new Date().toISOString()}`,
+            `Browser: ${navigator.userAgent}`,
+            ''
+        ];
+
+        if (this.results.size === 0) {
+            lines.push('No selector lookups recorded on this page.');
+        }
+        this.results.forEach(result => {
+            const outcome = result.found
+                ? `${result.strategy === 'module' ? 'ok' : `fallback "${result.strategy}"`} (${result.selector})`
+                : `NOT FOUND (tried ${result.tried.join(', ')})`;
+            lines.push(`${result.module} · ${result.target}: ${outcome}`);
+        });
+        return lines.join('\n');
+    },
+
+    /* Show the "can't find the grid" indicator with a copy button (styled in styles.css) */
+    showIndicator(message = "Linqly can't find the grid on this page") {
+        if (this.indicator && this.indicator.isConnected) return;
+        this.hideIndicator();
+
+        const indicator = document.createElement('div');
+        indicator.id = 'linqly-diagnostics';
+        indicator.setAttribute('role', 'status');
+        indicator.setAttribute('data-linqly-ui', '');
+        indicator.innerHTML = `
+            <span class="linqly-diagnostics-message"></span>
+            <button type="button" data-action="copy">Copy report</button>
+            <button type="button" data-action="close" title="Dismiss">×</button>`;
+        indicator.querySelector('.linqly-diagnostics-message').textContent = message;
+        indicator.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+            if (button.dataset.action === 'copy') {
+                this.copyReport();
+            } else {
+                this.hideIndicator();
+            }
+        });
+
+        document.body.appendChild(indicator);
+        this.indicator = indicator;
+        console.warn(`[Linqly] ${message}\n${this.buildReport()}`);
+    },
+
+    hideIndicator() {
+        if (this.indicator) {
+            this.indicator.remove();
+            this.indicator = null;
+        }
+    },
+
+    async copyReport() {
+        try {
+            await navigator.clipboard.writeText(this.buildReport());
+            LinqlyUtils.showNotice('Diagnostics report copied to the clipboard');
+        } catch (error) {
+            console.error('[Linqly] Error copying the diagnostics report:', error);
+            LinqlyUtils.showNotice('Could not copy to the clipboard.');
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LinqlyDiagnostics;
+} else {
+    window.LinqlyDiagnostics = LinqlyDiagnostics;
+}
@@ -0,0 +1,242 @@
+/* ========= Export All Pages for Linqly Extension =========
+   Kendo grids render one page at a time. This walks the grid's pager
+   from the first page to the last, collects every row the current
+   filter matches, shows progress with a cancel button, then puts the
+   grid back on the page the user was looking at. An export template
+   (see LinqlyExportTemplates) can shape the columns of the file.
+===================================================================== */
+
+const LinqlyExportAll = {
+    isRunning: false,
+    isCancelled: false,
+    panel: null,
+    // Row selector of the grid being exported, set by run()
+    rowSelector: null,
+
+    /* How long to wait for Clio to render a page before giving up */
+    pageTimeout: 15000,
+
+    pagerSelector: '.k-pager-wrap, .k-pager',
+    nextSelector: '.k-pager-nav[title*="next" i], .k-pager-nav[aria-label*="next" i], .k-pager-nav:has(.k-i-arrow-e, .k-i-arrow-60-right, .k-i-caret-alt-right)',
+    firstSelector: '.k-pager-first, .k-pager-nav[title*="first" i], .k-pager-nav[aria-label*="first" i]',
+
+    /* Walk every page of a grid and export the rows; format is 'csv' or 'xlsx'.
+       With a template, its columns, date format and file format are used instead. */
+    async run(grid, format = 'csv', template = null) {
+        if (this.isRunning) {
+            LinqlyUtils.showNotice('An export is already running.');
+            return false;
+        }
+
+        // Grids without Kendo markup are walked through the table the page module selects in
+        const module = LinqlyExport.getModuleFor(grid);
+        const container = grid && (grid.querySelector('.k-grid-content') ||
+            (module && (module.tableBody.closest('table') || module.tableBody)));
+        const pager = grid && grid.querySelector(this.pagerSelector);
+        if (!container) {
+            LinqlyUtils.showNotice('No list found to export.');
+            return false;
+        }
+
+        this.isRunning = true;
+        this.isCancelled = false;
+        this.rowSelector = LinqlyExport.getRowSelector(grid);
+        const startPage = pager ? this.getCurrentPage(pager) : 1;
+        const columns = LinqlyExport.getColumns(grid);
+        const rows = [];
+        const seen = new Set();
+
+        try {
+            this.showProgress('Preparing export…');
+
+            if (pager && startPage > 1) {
+                await this.goToFirstPage(grid, container);
+            }
+
+            let page = 1;
+            const totalPages = pager ? this.getTotalPages(pager, container) : 1;
+            while (!this.isCancelled) {
+                this.collectPage(container, columns, rows, seen);
+                this.showProgress(`Page ${page}${totalPages ? ` of ${totalPages}` : ''} · ${rows.length} rows`);
+
+                const next = pager && this.findEnabled(grid.querySelector(this.pagerSelector), this.nextSelector);
+                if (!next) break;
+
+                await this.clickAndWait(next, container);
+                page++;
+            }
+
+            if (this.isCancelled) {
+                LinqlyUtils.showNotice('Export cancelled.');
+            } else if (rows.length === 0) {
+                LinqlyUtils.showNotice('No rows to export.');
+            } else if (template) {
+                LinqlyExportTemplates.download({ columns: columns.map(column => column.title), rows }, template);
+            } else {
+                LinqlyExport.downloadData({ columns: columns.map(column => column.title), rows }, format);
+            }
+        } catch (error) {
+            console.error('[Linqly] Error exporting all pages:', error);
+            LinqlyUtils.showNotice('Export stopped: the list did not load in time.');
+        } finally {
+            await this.restorePage(grid, container, startPage);
+            this.hideProgress();
+            this.isRunning = false;
+        }
+        return !this.isCancelled;
+    },
+
+    /* Add the rows of the rendered page, skipping any already collected (by record ID or UID) */
+    collectPage(container, columns, rows, seen) {
+        this.getPageRows(container).forEach(row => {
+            const uid = LinqlyUtils.getRowUid(row);
+            if (seen.has(uid)) return;
+            seen.add(uid);
+            rows.push(LinqlyExport.getRowValues(row, columns));
+        });
+    },
+
+    /* Data rows of the rendered page */
+    getPageRows(container) {
+        const body = container.querySelector('tbody');
+        if (!body) return [];
+
+        return Array.from(body.querySelectorAll(this.rowSelector || LinqlyExport.rowSelector))
+            .filter(row => row.closest('tbody') === body && row.querySelector('td'));
+    },
+
+    /* ---- Pager helpers ---- */
+
+    getCurrentPage(pager) {
+        const selected = pager.querySelector('.k-pager-numbers .k-state-selected, .k-pager-numbers .k-selected, .k-pager-numbers [aria-current="page"]');
+        const input = pager.querySelector('.k-pager-input input');
+        const page = parseInt((selected && selected.textContent) || (input && input.value), 10);
+        return Number.isNaN(page) ? 1 : page;
+    },
+
+    /* Page count from "1 - 25 of 312 items", or null when Clio does not show it */
+    getTotalPages(pager, container) {
+        const info = pager.querySelector('.k-pager-info');
+        const match = info && /of\s+([\d,]+)/i.exec(info.textContent);
+        const pageSize = this.getPageRows(container).length;
+        if (!match || pageSize === 0) return null;
+        return Math.max(1, Math.ceil(Number(match[1].replace(/,/g, '')) / pageSize));
+    },
+
+    findEnabled(pager, selector) {
+        if (!pager) return null;
+        return Array.from(pager.querySelectorAll(selector)).find(button =>
+            !button.classList.contains('k-state-disabled') &&
+            !button.classList.contains('k-disabled') &&
+            !button.hasAttribute('disabled') &&
+            button.getAttribute('aria-disabled') !== 'true'
+        ) || null;
+    },
+
+    async goToFirstPage(grid, container) {
+        const pager = grid.querySelector(this.pagerSelector);
+        const target = pager.querySelector('.k-pager-numbers [data-page="1"]') || this.findEnabled(pager, this.firstSelector);
+        if (target) {
+            await this.clickAndWait(target, container);
+        }
+    },
+
+    /* Put the grid back on the page the user started from */
+    async restorePage(grid, container, startPage) {
+        const pager = grid.querySelector(this.pagerSelector);
+        if (!pager || this.getCurrentPage(pager) === startPage) return;
+
+        try {
+            const direct = pager.querySelector(`.k-pager-numbers [data-page="${startPage}"]`);
+            if (direct) {
+                await this.clickAndWait(direct, container);
+                return;
+            }
+
+            await this.goToFirstPage(grid, container);
+            for (let page = 1; page < startPage; page++) {
+                const next = this.findEnabled(grid.querySelector(this.pagerSelector), this.nextSelector);
+                if (!next) break;
+                await this.clickAndWait(next, container);
+            }
+        } catch (error) {
+            console.error('[Linqly] Could not restore the original page:', error);
+        }
+    },
+
+    /* Identify the rendered page by its row UIDs */
+    getSignature(container) {
+        return this.getPageRows(container)
+            .map(row => LinqlyUtils.getRowUid(row))
+            .join('|');
+    },
+
+    /* Click a pager button and resolve once the rows have been replaced */
+    clickAndWait(button, container) {
+        const before = this.getSignature(container);
+
+        return new Promise((resolve, reject) => {
+            let settleTimeout = null;
+            const finish = (error) => {
+                observer.disconnect();
+                clearTimeout(timeout);
+                clearTimeout(settleTimeout);
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve();
+                }
+            };
+
+            const observer = new MutationObserver(() => {
+                if (this.getSignature(container) === before) return;
+                // Give Angular a moment to finish the rows it is still binding
+                clearTimeout(settleTimeout);
+                settleTimeout = setTimeout(() => finish(), 150);
+            });
+            observer.observe(container, { childList: true, subtree: true });
+
+            const timeout = setTimeout(() => finish(new Error('Timed out waiting for the next page')), this.pageTimeout);
+            button.click();
+        });
+    },
+
+    /* ---- Progress panel (styled in styles.css) ---- */
+
+    showProgress(message) {
+        if (!this.panel) {
+            this.panel = document.createElement('div');
+            this.panel.id = 'linqly-progress';
+            this.panel.setAttribute('role', 'status');
+            this.panel.setAttribute('data-linqly-ui', '');
+
+            const text = document.createElement('span');
+            text.className = 'linqly-progress-text';
+            const cancel = document.createElement('button');
+            cancel.type = 'button';
+            cancel.textContent = 'Cancel';
+            cancel.addEventListener('click', () => {
+                this.isCancelled = true;
+                text.textContent = 'Cancelling…';
+            });
+
+            this.panel.append(text, cancel);
+            document.body.appendChild(this.panel);
+        }
+        this.panel.querySelector('.linqly-progress-text').textContent = message;
+    },
+
+    hideProgress() {
+        if (this.panel) {
+            this.panel.remove();
+            this.panel = null;
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LinqlyExportAll;
+} else {
+    window.LinqlyExportAll = LinqlyExportAll;
+}
@@ -0,0 +1,295 @@
+/* ========= Export Column Chooser for Linqly Extension =========
+   Dialog for exporting the selected rows, or every page of the grid,
+   with chosen columns: include or drop each column, reorder, rename
+   headers, pick the date and file format, and save the choices as a
+   named template for the page type. Saved templates are listed at the
+   top and run in one click.
+===================================================================== */
+
+const LinqlyExportDialog = {
+    element: null,
+    grid: null,
+    pageType: null,
+    columns: [],
+    templates: [],
+
+    /* Open the chooser for a grid (the active one by default) */
+    async open(grid = LinqlyExport.findActiveGrid()) {
+        if (!grid) {
+            LinqlyUtils.showNotice('No list found to export.');
+            return;
+        }
+
+        this.close();
+        this.grid = grid;
+        this.pageType = LinqlyUtils.getPageType();
+        this.columns = LinqlyExport.getColumns(grid).map(column => ({
+            source: column.title,
+            title: '',
+            included: true
+        }));
+        this.templates = await LinqlyExportTemplates.list(this.pageType);
+
+        this.createElement();
+        this.renderTemplates();
+        this.renderColumns();
+        this.element.querySelector('.linqly-export-submit').focus();
+    },
+
+    close() {
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+        }
+        this.grid = null;
+    },
+
+    createElement() {
+        const dialog = document.createElement('div');
+        dialog.id = 'linqly-export-dialog';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-label', 'Export rows');
+        dialog.setAttribute('data-linqly-ui', '');
+        dialog.innerHTML = `
+            <div class="linqly-export-header">
+                <span>Export rows</span>
+                <button type="button" class="linqly-export-close" data-action="close" title="Close">×</button>
+            </div>
+            <div class="linqly-export-templates"></div>
+            <ol class="linqly-export-columns"></ol>
+            <div class="linqly-export-options">
+                <label>Rows <select class="linqly-export-scope">
+                    <option value="selected">Selected</option>
+                    <option value="all">All pages</option>
+                </select></label>
+                <label>Dates <select class="linqly-export-date"></select></label>
+                <label>File <select class="linqly-export-format">
+                    <option value="csv">CSV</option>
+                    <option value="xlsx">Excel</option>
+                </select></label>
+            </div>
+            <div class="linqly-export-save">
+                <input type="text" class="linqly-export-name" placeholder="Template name, e.g. Monthly WIP">
+                <button type="button" data-action="save">Save template</button>
+            </div>
+            <div class="linqly-export-footer">
+                <button type="button" data-action="close">Cancel</button>
+                <button type="button" class="linqly-export-submit" data-action="export">Export</button>
+            </div>`;
+
+        const dateSelect = dialog.querySelector('.linqly-export-date');
+        Object.entries(LinqlyExportTemplates.dateFormats).forEach(([value, format]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = format.label;
+            dateSelect.appendChild(option);
+        });
+
+        dialog.addEventListener('click', (event) => this.handleClick(event));
+        dialog.addEventListener('change', (event) => this.handleChange(event));
+        dialog.addEventListener('keydown', (event) => {
+            // Keep Escape and the grid shortcuts away from the page while the dialog is open
+            event.stopPropagation();
+            if (event.key === 'Escape') this.close();
+        });
+
+        document.body.appendChild(dialog);
+        this.element = dialog;
+    },
+
+    /* Saved templates: the name runs it, Edit loads it into the form */
+    renderTemplates() {
+        const container = this.element.querySelector('.linqly-export-templates');
+        if (this.templates.length === 0) {
+            container.textContent = 'No saved templates for this page yet.';
+            return;
+        }
+
+        container.replaceChildren(...this.templates.map(template => {
+            const entry = document.createElement('div');
+            entry.className = 'linqly-export-template';
+            entry.dataset.templateId = template.id;
+            entry.innerHTML = `
+                <button type="button" class="linqly-export-run" data-action="run" title="Export with this template"></button>
+                <button type="button" data-action="edit">Edit</button>
+                <button type="button" data-action="delete" title="Delete template">×</button>`;
+            entry.querySelector('.linqly-export-run').textContent = template.name;
+            return entry;
+        }));
+    },
+
+    renderColumns() {
+        const list = this.element.querySelector('.linqly-export-columns');
+        list.replaceChildren(...this.columns.map((column, index) => {
+            const item = document.createElement('li');
+            item.dataset.index = index;
+            item.innerHTML = `
+                <input type="checkbox" class="linqly-export-include" title="Include this column">
+                <input type="text" class="linqly-export-title">
+                <button type="button" data-action="up" title="Move up">↑</button>
+                <button type="button" data-action="down" title="Move down">↓</button>`;
+            item.querySelector('.linqly-export-include').checked = column.included;
+            const title = item.querySelector('.linqly-export-title');
+            title.placeholder = column.source;
+            title.value = column.title;
+            title.title = `Header for "${column.source}"`;
+            item.querySelector('[data-action="up"]').disabled = index === 0;
+            item.querySelector('[data-action="down"]').disabled = index === this.columns.length - 1;
+            return item;
+        }));
+    },
+
+    handleClick(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        const item = button.closest('li[data-index]');
+        const entry = button.closest('[data-template-id]');
+        const template = entry && this.templates.find(saved => saved.id === entry.dataset.templateId);
+
+        switch (button.dataset.action) {
+            case 'close':
+                this.close();
+                break;
+            case 'up':
+            case 'down':
+                this.moveColumn(Number(item.dataset.index), button.dataset.action === 'up' ? -1 : 1);
+                break;
+            case 'export':
+                this.export(this.readTemplate());
+                break;
+            case 'save':
+                this.saveTemplate();
+                break;
+            case 'run':
+                if (template) this.export(template);
+                break;
+            case 'edit':
+                if (template) this.loadTemplate(template);
+                break;
+            case 'delete':
+                if (template) this.deleteTemplate(template);
+                break;
+        }
+    },
+
+    /* Keep this.columns in step with the checkboxes and header inputs */
+    handleChange(event) {
+        const item = event.target.closest('li[data-index]');
+        if (!item) return;
+
+        const column = this.columns[Number(item.dataset.index)];
+        if (event.target.classList.contains('linqly-export-include')) {
+            column.included = event.target.checked;
+        } else if (event.target.classList.contains('linqly-export-title')) {
+            column.title = event.target.value.trim();
+        }
+    },
+
+    moveColumn(index, offset) {
+        const target = index + offset;
+        if (target < 0 || target >= this.columns.length) return;
+
+        [this.columns[index], this.columns[target]] = [this.columns[target], this.columns[index]];
+        this.renderColumns();
+        const button = this.element.querySelector(`li[data-index="${target}"] [data-action="${offset < 0 ? 'up' : 'down'}"]`);
+        if (button && !button.disabled) button.focus();
+    },
+
+    /* The form as a template (without a name or ID) */
+    readTemplate() {
+        // Pick up a header still being typed, which has not fired change yet
+        this.element.querySelectorAll('li[data-index]').forEach(item => {
+            this.columns[Number(item.dataset.index)].title = item.querySelector('.linqly-export-title').value.trim();
+        });
+
+        return {
+            columns: this.columns
+                .filter(column => column.included)
+                .map(column => ({ source: column.source, title: column.title })),
+            dateFormat: this.element.querySelector('.linqly-export-date').value,
+            format: this.element.querySelector('.linqly-export-format').value
+        };
+    },
+
+    /* Show a saved template: its columns first in its order, the grid's other columns after, unticked */
+    loadTemplate(template) {
+        const picked = template.columns.map(column => ({ source: column.source, title: column.title || '', included: true }));
+        const others = this.columns
+            .filter(column => !template.columns.some(saved => saved.source === column.source))
+            .map(column => ({ ...column, included: false }));
+        this.columns = [...picked, ...others];
+
+        this.element.querySelector('.linqly-export-date').value = template.dateFormat || '';
+        this.element.querySelector('.linqly-export-format').value = template.format === 'xlsx' ? 'xlsx' : 'csv';
+        this.element.querySelector('.linqly-export-name').value = template.name;
+        this.renderColumns();
+    },
+
+    async saveTemplate() {
+        const nameInput = this.element.querySelector('.linqly-export-name');
+        const name = nameInput.value.trim();
+        if (!name) {
+            nameInput.focus();
+            LinqlyUtils.showNotice('Give the template a name to save it.');
+            return;
+        }
+
+        const template = this.readTemplate();
+        if (template.columns.length === 0) {
+            LinqlyUtils.showNotice('Choose at least one column.');
+            return;
+        }
+
+        try {
+            await LinqlyExportTemplates.save(this.pageType, { name, ...template });
+            this.templates = await LinqlyExportTemplates.list(this.pageType);
+            if (this.element) this.renderTemplates();
+            LinqlyUtils.showNotice(`Saved template "${name}"`);
+        } catch (error) {
+            // chrome.storage.sync has small per-item quotas
+            console.error('[Linqly] Error saving export template:', error);
+            LinqlyUtils.showNotice('Could not save the template.');
+        }
+    },
+
+    async deleteTemplate(template) {
+        try {
+            await LinqlyExportTemplates.remove(this.pageType, template.id);
+            this.templates = await LinqlyExportTemplates.list(this.pageType);
+            if (this.element) this.renderTemplates();
+            LinqlyUtils.showNotice(`Deleted template "${template.name}"`);
+        } catch (error) {
+            console.error('[Linqly] Error deleting export template:', error);
+            LinqlyUtils.showNotice('Could not delete the template.');
+        }
+    },
+
+    /* Export with a template, from the selected rows or from every page of the grid */
+    export(template) {
+        if (template.columns.length === 0) {
+            LinqlyUtils.showNotice('Choose at least one column.');
+            return;
+        }
+
+        if (this.element.querySelector('.linqly-export-scope').value === 'all') {
+            const grid = this.grid;
+            this.close();
+            LinqlyExportAll.run(grid, template.format, template).catch(error => {
+                console.error('[Linqly] Error exporting all pages:', error);
+            });
+            return;
+        }
+
+        if (LinqlyExportTemplates.run(template, this.grid)) {
+            this.close();
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LinqlyExportDialog;
+} else {
+    window.LinqlyExportDialog = LinqlyExportDialog;
+}
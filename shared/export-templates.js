@@ -0,0 +1,176 @@
+/* ========= Export Templates for Linqly Extension =========
+   Saved column choices for exports, one list per page type, each in its
+   own chrome.storage.sync item so no page type's list pushes another
+   over the per-item quota. A template picks grid columns by their header
+   title, in order, with an optional new header, plus a date format and
+   a file format. The content scripts run them; the popup lists them.
+===================================================================== */
+
+const LinqlyExportTemplates = {
+    /* Storage item per page type: linqly_export_templates_matters, ... */
+    storagePrefix: 'linqly_export_templates_',
+
+    /* Date formats offered in the column chooser, with the matching Excel number format.
+       An empty key keeps the dates as Clio shows them. */
+    dateFormats: {
+        '': { label: 'As shown in Clio', excel: null },
+        'MM/DD/YYYY': { label: 'MM/DD/YYYY', excel: 'mm/dd/yyyy' },
+        'DD/MM/YYYY': { label: 'DD/MM/YYYY', excel: 'dd/mm/yyyy' },
+        'YYYY-MM-DD': { label: 'YYYY-MM-DD', excel: 'yyyy-mm-dd' },
+        'MMM D, YYYY': { label: 'Jan 31, 2026', excel: 'mmm d, yyyy' }
+    },
+
+    monthLabels: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
+
+    storageKey(pageType) {
+        return `${this.storagePrefix}${pageType}`;
+    },
+
+    /* True for the storage items holding templates, e.g. to filter storage.onChanged */
+    isStorageKey(key) {
+        return key.startsWith(this.storagePrefix);
+    },
+
+    /* Read every template: { pageType: [{ id, name, columns: [{ source, title }], dateFormat, format }] } */
+    async load() {
+        const stored = await chrome.storage.sync.get(null);
+        const all = {};
+        Object.keys(stored)
+            .filter(key => key.startsWith(this.storagePrefix))
+            .forEach(key => {
+                all[key.slice(this.storagePrefix.length)] = stored[key];
+            });
+        return all;
+    },
+
+    async list(pageType) {
+        const key = this.storageKey(pageType);
+        const res = await chrome.storage.sync.get({ [key]: [] });
+        return res[key];
+    },
+
+    /* Replace every saved template with { pageType: [templates] }, e.g. from a settings file */
+    async replaceAll(all) {
+        const current = await this.load();
+        const stale = Object.keys(current).filter(pageType => !(pageType in all)).map(pageType => this.storageKey(pageType));
+        const items = {};
+        Object.entries(all).forEach(([pageType, templates]) => {
+            items[this.storageKey(pageType)] = templates;
+        });
+
+        await chrome.storage.sync.set(items);
+        if (stale.length > 0) {
+            await chrome.storage.sync.remove(stale);
+        }
+    },
+
+    async find(pageType, id) {
+        return (await this.list(pageType)).find(template => template.id === id) || null;
+    },
+
+    /* Save a template for a page type; one with the same name is replaced. Resolves to the saved template. */
+    async save(pageType, template) {
+        const templates = await this.list(pageType);
+        const index = templates.findIndex(existing => existing.name.toLowerCase() === template.name.toLowerCase());
+        const saved = {
+            ...template,
+            id: index === -1 ? (template.id || Date.now().toString(36)) : templates[index].id
+        };
+
+        if (index === -1) {
+            templates.push(saved);
+        } else {
+            templates[index] = saved;
+        }
+        await chrome.storage.sync.set({ [this.storageKey(pageType)]: templates });
+        return saved;
+    },
+
+    async remove(pageType, id) {
+        const templates = (await this.list(pageType)).filter(template => template.id !== id);
+        await chrome.storage.sync.set({ [this.storageKey(pageType)]: templates });
+    },
+
+    /* Pick, order and rename the columns of { columns, rows }. Columns the grid no longer has stay empty. */
+    apply(data, template) {
+        const indexes = template.columns.map(column => data.columns.indexOf(column.source));
+        const missing = template.columns.filter((column, i) => indexes[i] === -1);
+        if (missing.length > 0) {
+            console.warn('[Linqly] Template columns not in this grid:', missing.map(column => column.source));
+        }
+
+        return {
+            columns: template.columns.map(column => column.title || column.source),
+            rows: data.rows.map(values => indexes.map(index => (index === -1 ? '' : values[index])))
+        };
+    },
+
+    /* Rewrite one date cell in the given format; text that is not a date is returned unchanged.
+       dayFirst reads slash dates as DD/MM/YYYY (see LinqlyXlsx.detectDateType). */
+    formatDate(text, dateFormat, dayFirst = false) {
+        const serial = LinqlyXlsx.parseDate(text, dayFirst);
+        if (serial === null || !dateFormat) return text;
+
+        const date = new Date(Date.UTC(1899, 11, 30) + serial * 86400000);
+        const year = String(date.getUTCFullYear());
+        const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+        const day = String(date.getUTCDate()).padStart(2, '0');
+        switch (dateFormat) {
+            case 'DD/MM/YYYY':
+                return `${day}/${month}/${year}`;
+            case 'YYYY-MM-DD':
+                return `${year}-${month}-${day}`;
+            case 'MMM D, YYYY':
+                return `${this.monthLabels[date.getUTCMonth()]} ${date.getUTCDate()}, ${year}`;
+            default:
+                return `${month}/${day}/${year}`;
+        }
+    },
+
+    /* Rewrite every date column of { columns, rows } for text exports */
+    formatDates(data, dateFormat) {
+        if (!dateFormat) return data;
+
+        const types = LinqlyXlsx.detectColumnTypes(data);
+        return {
+            columns: data.columns,
+            rows: data.rows.map(values => values.map((value, index) =>
+                ((types[index] === 'date' || types[index] === 'dateDayFirst') && value
+                    ? this.formatDate(value, dateFormat, types[index] === 'dateDayFirst')
+                    : value)
+            ))
+        };
+    },
+
+    /* Content scripts only: export the selected rows of a grid with a template */
+    run(template, grid) {
+        const data = LinqlyExport.collectSelection(grid || undefined);
+        if (data.rows.length === 0) {
+            LinqlyUtils.showNotice('Select at least one row to export.');
+            return false;
+        }
+
+        this.download(data, template);
+        return true;
+    },
+
+    /* Shape { columns, rows } with a template and download it in the template's file and date format */
+    download(data, template) {
+        const format = template.format === 'xlsx' ? 'xlsx' : 'csv';
+        const shaped = this.apply(data, template);
+        const dateFormat = this.dateFormats[template.dateFormat] ? template.dateFormat : '';
+        if (format === 'xlsx') {
+            // Excel keeps real dates and shows them in the chosen format
+            LinqlyExport.downloadData(shaped, 'xlsx', { dateFormat: this.dateFormats[dateFormat].excel });
+        } else {
+            LinqlyExport.downloadData(this.formatDates(shaped, dateFormat), 'csv');
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LinqlyExportTemplates;
+} else {
+    window.LinqlyExportTemplates = LinqlyExportTemplates;
+}
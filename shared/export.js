@@ -0,0 +1,286 @@
+/* ========= Shared Export Helpers for Linqly Extension =========
+   Reads the selected rows of the active Clio grid (headers + cell text)
+   and turns them into downloadable files
+===================================================================== */
+
+const LinqlyExport = {
+
+    /* Row and checkbox selectors that cover every supported grid; used when no page module is active */
+    rowSelector: 'tr:not(.k-grouping-row):not(.k-detail-row)',
+    checkboxSelector: 'td.row-selection-checkbox input[type="checkbox"], .th-checkbox input[type="checkbox"], .th-checkbox-basic input[type="checkbox"], span[role="checkbox"], input[type="checkbox"]',
+
+    /* Elements that wrap a whole grid: header, content and pager */
+    gridSelector: '.k-grid, [kendo-grid], .k-scheduler, th-data-table, [data-attr="matters-table"], #communications_logs_data_table, [data-testid="leads-table"], .leads-table',
+
+    /* The grid around a page module's container (its `.k-grid-content`), so the header read matches the rows selected.
+       Containers found by a fallback strategy may sit in a plain table. */
+    getGridFor(container) {
+        return container ? container.closest(this.gridSelector) || container.closest('table') : null;
+    },
+
+    /* The page module doing the selecting; content.js points this at its active module */
+    getActiveModule() {
+        return null;
+    },
+
+    /* The active module when its rows are in this grid, so exports read the same rows as the
+       toolbar count, selector overrides and healed selectors included */
+    getModuleFor(grid) {
+        const module = grid ? this.getActiveModule() : null;
+        return module && module.tableBody && grid.contains(module.tableBody) ? module : null;
+    },
+
+    /* Row selector for a grid: its module's, else the one that covers every supported grid */
+    getRowSelector(grid) {
+        const module = this.getModuleFor(grid);
+        return module ? module.getSelectors().row : this.rowSelector;
+    },
+
+    /* Find the grid the user is working in: the one holding checked rows, else the first visible one */
+    findActiveGrid() {
+        const candidates = Array.from(document.querySelectorAll(this.gridSelector))
+            .filter(grid => grid.offsetParent !== null)
+            // Skip wrappers whose inner grid is also a candidate
+            .filter((grid, index, all) => !all.some(other => other !== grid && grid.contains(other)));
+
+        if (candidates.length === 0) {
+            // Plain tables, e.g. the communications log
+            const table = document.querySelector('table tbody tr input[type="checkbox"]');
+            return table ? table.closest('table') : null;
+        }
+
+        const withSelection = candidates.find(grid => this.getSelectedRows(grid).length > 0);
+        return withSelection || candidates[0];
+    },
+
+    /* Get the header row cells for a grid, from the Kendo header table or the table's own thead */
+    getHeaderCells(grid) {
+        const headerRows = grid.querySelectorAll('.k-grid-header thead tr, thead tr');
+        if (headerRows.length === 0) return [];
+        // Multi-row headers put the leaf columns in the last row
+        return Array.from(headerRows[headerRows.length - 1].children);
+    },
+
+    /* Build the list of exportable columns: skip checkbox, hierarchy, hidden and untitled columns */
+    getColumns(grid) {
+        return this.getHeaderCells(grid)
+            .map((th, index) => ({
+                index,
+                title: (th.getAttribute('data-title') || th.textContent || '').replace(/\s+/g, ' ').trim(),
+                element: th
+            }))
+            .filter(column => {
+                const th = column.element;
+                if (th.style.display === 'none' || th.hidden) return false;
+                if (th.classList.contains('k-hierarchy-cell') || th.classList.contains('row-selection-checkbox')) return false;
+                if (th.querySelector('input[type="checkbox"], span[role="checkbox"]')) return false;
+                return column.title !== '';
+            });
+    },
+
+    /* Get the body rows of a grid whose checkbox is checked */
+    getSelectedRows(grid) {
+        const module = this.getModuleFor(grid);
+        if (module) return module.getSelectedRows();
+
+        const body = grid.querySelector('.k-grid-content tbody') || grid.querySelector('tbody');
+        if (!body) return [];
+
+        return Array.from(body.querySelectorAll(this.rowSelector))
+            .filter(row => row.closest('tbody') === body)
+            .filter(row => {
+                const checkbox = row.querySelector(this.checkboxSelector);
+                return checkbox && LinqlyUtils.getCheckboxState(checkbox);
+            });
+    },
+
+    /* Read the visible text of a cell, collapsing whitespace left behind by Clio's templates */
+    getCellText(cell) {
+        if (!cell) return '';
+        return (cell.innerText || cell.textContent || '').replace(/\s+/g, ' ').trim();
+    },
+
+    /* Cell text of a row for the given columns */
+    getRowValues(row, columns) {
+        const cells = Array.from(row.children).filter(cell => cell.tagName === 'TD');
+        return columns.map(column => this.getCellText(cells[column.index]));
+    },
+
+    /* Collect the selected rows of a grid (the active one by default) as { columns, rows } */
+    collectSelection(grid = this.findActiveGrid()) {
+        if (!grid) {
+            console.log('[Linqly] No grid found to export from');
+            return { columns: [], rows: [] };
+        }
+
+        const columns = this.getColumns(grid);
+        const rows = this.getSelectedRows(grid).map(row => this.getRowValues(row, columns));
+
+        console.log(`[Linqly] Collected ${rows.length} selected rows with ${columns.length} columns`);
+        return { columns: columns.map(column => column.title), rows };
+    },
+
+    /* Quote a single CSV field when it contains separators, quotes or line breaks */
+    escapeCsvField(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        if (/[",\r\n]/.test(text)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    },
+
+    /* Turn { columns, rows } into CSV text */
+    toCsv(data) {
+        const lines = [data.columns, ...data.rows].map(values =>
+            values.map(value => this.escapeCsvField(value)).join(',')
+        );
+        return lines.join('\r\n');
+    },
+
+    /* Turn { columns, rows } into tab-separated text, the format spreadsheets accept on paste */
+    toTsv(data) {
+        return [data.columns, ...data.rows]
+            .map(values => values.map(value => String(value === null || value === undefined ? '' : value).replace(/[\t\r\n]+/g, ' ')).join('\t'))
+            .join('\n');
+    },
+
+    escapeHtml(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    },
+
+    /* Turn { columns, rows } into an HTML table with plain inline styling that Word and Outlook keep on paste */
+    toHtmlTable(data) {
+        const cellStyle = 'border:1px solid #999;padding:4px 8px;text-align:left;vertical-align:top';
+        const header = data.columns.map(title => `<th style="${cellStyle}">${this.escapeHtml(title)}</th>`).join('');
+        const body = data.rows.map(values =>
+            `<tr>${values.map(value => `<td style="${cellStyle}">${this.escapeHtml(value)}</td>`).join('')}</tr>`
+        ).join('');
+        return `<table style="border-collapse:collapse"><thead><tr>${header}</tr></thead><tbody>${body}</tbody></table>`;
+    },
+
+    /* Turn { columns, rows } into a Markdown table */
+    toMarkdown(data) {
+        const line = values => `| ${values.map(value =>
+            String(value === null || value === undefined ? '' : value).replace(/\|/g, '\\|').replace(/[\r\n]+/g, ' ')
+        ).join(' | ')} |`;
+        return [line(data.columns), line(data.columns.map(() => '---')), ...data.rows.map(line)].join('\n');
+    },
+
+    /* Build a file name such as linqly-matters-2026-01-31.csv, or linqly-matter-123-documents-2026-01-31.csv on a matter's tab */
+    buildFileName(extension) {
+        const date = new Date().toISOString().slice(0, 10);
+        const matter = LinqlyUtils.getMatterContext();
+        const scope = matter ? `matter-${matter.id}-` : '';
+        return `linqly-${scope}${LinqlyUtils.getPageType()}-${date}.${extension}`;
+    },
+
+    /* On a matter's tab, lead with a Matter column so the rows say where they came from */
+    addMatterColumn(data, matter = LinqlyUtils.getMatterContext()) {
+        if (!matter || data.columns.includes('Matter')) return data;
+
+        const label = matter.name || `Matter ${matter.id}`;
+        return {
+            columns: ['Matter', ...data.columns],
+            rows: data.rows.map(values => [label, ...values])
+        };
+    },
+
+    /* Trigger a browser download for the given content */
+    download(fileName, content, mimeType) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Give the browser a moment to start the download before revoking
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
+    /* Download { columns, rows } as 'csv' or 'xlsx' (typed date, money and hours columns),
+       with a Matter column on a matter's tab. options.dateFormat is an Excel number format
+       for the workbook's date columns. */
+    downloadData(data, format = 'csv', options = {}) {
+        const exported = this.addMatterColumn(data);
+        let fileName;
+        if (format === 'xlsx') {
+            const pageType = LinqlyUtils.getPageType();
+            const sheetName = pageType.charAt(0).toUpperCase() + pageType.slice(1);
+            fileName = this.buildFileName('xlsx');
+            this.download(fileName, LinqlyXlsx.toBlob(exported, sheetName, options));
+        } else {
+            // Prefix a BOM so Excel opens the file as UTF-8
+            fileName = this.buildFileName('csv');
+            this.download(fileName, '\uFEFF' + this.toCsv(exported), 'text/csv;charset=utf-8');
+        }
+        LinqlyUtils.showNotice(`Exported ${data.rows.length} row${data.rows.length === 1 ? '' : 's'} to ${fileName}`);
+    },
+
+    /* Export the selected rows of a grid (the active one by default) as a CSV download */
+    exportSelectedAsCsv(grid) {
+        const data = this.collectSelection(grid || undefined);
+        if (data.rows.length === 0) {
+            LinqlyUtils.showNotice('Select at least one row to export.');
+            return false;
+        }
+
+        this.downloadData(data, 'csv');
+        return true;
+    },
+
+    /* Export the selected rows as an Excel workbook */
+    exportSelectedAsXlsx(grid) {
+        const data = this.collectSelection(grid || undefined);
+        if (data.rows.length === 0) {
+            LinqlyUtils.showNotice('Select at least one row to export.');
+            return false;
+        }
+
+        this.downloadData(data, 'xlsx');
+        return true;
+    },
+
+    /* Copy the selected rows with their header to the clipboard.
+       'table' writes TSV for Excel plus an HTML table for Word and Outlook; 'markdown' writes a Markdown table. */
+    async copySelected(format = 'table', grid) {
+        const data = this.collectSelection(grid || undefined);
+        if (data.rows.length === 0) {
+            LinqlyUtils.showNotice('Select at least one row to copy.');
+            return false;
+        }
+
+        try {
+            if (format === 'markdown') {
+                await navigator.clipboard.writeText(this.toMarkdown(data));
+            } else if (typeof ClipboardItem === 'function') {
+                await navigator.clipboard.write([new ClipboardItem({
+                    'text/plain': new Blob([this.toTsv(data)], { type: 'text/plain' }),
+                    'text/html': new Blob([this.toHtmlTable(data)], { type: 'text/html' })
+                })]);
+            } else {
+                await navigator.clipboard.writeText(this.toTsv(data));
+            }
+            const label = format === 'markdown' ? ' as Markdown' : '';
+            LinqlyUtils.showNotice(`Copied ${data.rows.length} row${data.rows.length === 1 ? '' : 's'}${label} to the clipboard`);
+            return true;
+        } catch (error) {
+            console.error('[Linqly] Error copying selected rows:', error);
+            LinqlyUtils.showNotice('Could not copy to the clipboard.');
+            return false;
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LinqlyExport;
+} else {
+    window.LinqlyExport = LinqlyExport;
+}
@@ -0,0 +1,104 @@
+/* ========= Page Registry for Linqly Extension =========
+   Page modules register themselves here with a URL matcher, a priority
+   and lifecycle hooks. The feature manager asks the registry to activate
+   the single best match for the current route; adding a Clio page only
+   needs a new module file that calls `LinqlyPageRegistry.register()`.
+===================================================================== */
+
+const LinqlyPageRegistry = {
+    pages: [],
+    activePage: null,
+
+    /* Register a page module:
+         name               - used in logs
+         matchesUrl(href)   - true on the routes the module handles
+         priority           - higher wins when several modules match (default 0)
+         settingKey         - optional LinqlySettings key that turns the module on or off
+         initialize()       - attach to the page
+         detach()           - remove everything the module added
+         initializeIfNeeded - optional, re-init on a route change within the same module */
+    register(page) {
+        if (!page || typeof page.matchesUrl !== 'function' ||
+            typeof page.initialize !== 'function' || typeof page.detach !== 'function') {
+            console.error('[Linqly] Page module must provide matchesUrl, initialize and detach:', page && page.name);
+            return;
+        }
+        if (this.pages.includes(page)) return;
+
+        this.pages.push(page);
+        // Keep the list ordered so findPage returns the highest priority match
+        this.pages.sort((a, b) => (b.priority || 0) - (a.priority || 0));
+        console.log(`[Linqly] Registered page module ${page.name} (priority ${page.priority || 0})`);
+    },
+
+    /* Find the module that should handle a URL, or null */
+    findPage(href = window.location.href) {
+        return this.pages.find(page => {
+            try {
+                return page.matchesUrl(href);
+            } catch (err) {
+                console.error(`[Linqly] Error matching page module ${page.name}:`, err);
+                return false;
+            }
+        }) || null;
+    },
+
+    /* Check the module's own toggle; modules without one are always on */
+    isPageEnabled(page) {
+        return !page.settingKey || LinqlySettings.get(page.settingKey) !== false;
+    },
+
+    /* Activate the module for the current route, detaching the previous one if it changed */
+    activate() {
+        const page = this.findPage();
+
+        if (this.activePage && this.activePage !== page) {
+            this.deactivate();
+        }
+
+        if (!page) {
+            console.log('[Linqly] No page module for', window.location.href);
+            return null;
+        }
+
+        if (!this.isPageEnabled(page)) {
+            console.log(`[Linqly] Page module ${page.name} is turned off in settings`);
+            this.deactivate();
+            return null;
+        }
+
+        try {
+            if (this.activePage === page && typeof page.initializeIfNeeded === 'function') {
+                // Same module, new route: let it decide whether the grid changed
+                page.initializeIfNeeded();
+            } else {
+                console.log(`[Linqly] Activating page module ${page.name}`);
+                page.initialize();
+            }
+            this.activePage = page;
+        } catch (err) {
+            console.error(`[Linqly] Error initializing page module ${page.name}:`, err);
+        }
+        return page;
+    },
+
+    /* Detach the active module */
+    deactivate() {
+        if (!this.activePage) return;
+
+        console.log(`[Linqly] Detaching page module ${this.activePage.name}`);
+        try {
+            this.activePage.detach();
+        } catch (err) {
+            console.error(`[Linqly] Error detaching page module ${this.activePage.name}:`, err);
+        }
+        this.activePage = null;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LinqlyPageRegistry;
+} else {
+    window.LinqlyPageRegistry = LinqlyPageRegistry;
+}
@@ -0,0 +1,1006 @@
+/* ========= Shared Selection Engine for Linqly Extension =========
+   One implementation of row-click selection, shift+click ranges and
+   cleanup. Each page module passes a small descriptor to
+   `LinqlySelectionEngine.create()` and gets a ready-to-use module back.
+   Route changes are driven by the page registry, not by the modules.
+===================================================================== */
+
+const LinqlySelectionEngine = {
+
+    /* Selectors shared by every Kendo grid; descriptor selectors are merged over these */
+    commonSelectors: {
+        row: 'tr[role="row"]:not(.k-grouping-row):not(.k-detail-row)',
+        container: '.k-grid-content, .k-grid-table-wrap, [kendo-grid]',
+        isCustomCheckbox: false
+    },
+
+    /* Clicks on these belong to Clio, never to row selection; a page's `exclude` selector adds to them */
+    interactiveSelector: 'a, button, select, textarea, [role="button"], [role="tab"]',
+
+    /* Keys that move the keyboard cursor, with their direction */
+    navigationKeys: { j: 1, J: 1, ArrowDown: 1, k: -1, K: -1, ArrowUp: -1 },
+
+    /* Build a page module from a descriptor:
+         name           - used in logs, e.g. 'Contacts Page'
+         urlPattern     - RegExp the URL must match
+         excludePattern - RegExp for URLs to skip (new/edit pages, subtabs with their own module)
+         priority       - registry priority when several modules match
+         selectors      - { checkbox, row?, container?, exclude? } merged over commonSelectors
+         checkboxType   - 'native' (inputs only) or 'custom' (inputs or span[role="checkbox"])
+         pageType       - passed to LinqlyUtils.setCheckboxState ('matters' uses the Angular path);
+                          pages whose framework needs more than that override setCheckboxState()
+         gridSelector   - where the grid rows live, '.k-grid-content' by default
+         settingKey     - LinqlySettings key that turns the module on or off
+         totals         - true to show LinqlyTotals under the grid for the selected rows
+         gridOptional   - true when the page may have no grid (e.g. calendar views without rows):
+                          skip the fallback grid strategies and the "can't find the grid" indicator
+       Any function on the descriptor replaces the engine method of the same name. */
+    create(descriptor) {
+        const module = Object.create(this.methods);
+        return Object.assign(module, {
+            tableBody: null,
+            listener: null,
+            currentPath: '',
+            isInitialized: false,
+            lastClickedRow: null,
+            rangeEndUid: null,
+            focusedUid: null,
+            drag: null,
+            attachObserver: null,
+            attachTimers: [],
+            suppressClick: false,
+            isShiftPressed: false,
+            isShiftClickOperation: false,
+            checkboxType: 'native',
+            pageType: false,
+            priority: 0,
+            excludePattern: null,
+            gridSelector: '.k-grid-content',
+            totals: false,
+            gridOptional: false,
+            selectors: {},
+            healedSelectors: {}
+        }, descriptor);
+    },
+
+    /* Behaviour shared by every module created above */
+    methods: {
+
+        /* Match the URL against the descriptor's patterns */
+        matchesUrl(href) {
+            if (!this.urlPattern || !this.urlPattern.test(href)) return false;
+            return !(this.excludePattern && this.excludePattern.test(href));
+        },
+
+        /* Check if we should initialize on this page */
+        shouldInitialize() {
+            const href = window.location.href;
+            const shouldInit = !!this.matchesUrl(href);
+            console.log(`[Linqly] Should initialize ${this.name} for ${href}?`, shouldInit);
+            return shouldInit;
+        },
+
+        /* Initialize the page functionality once the enabled setting is confirmed */
+        initialize() {
+            console.log(`[Linqly] ${this.name} initializing…`);
+
+            chrome.storage.sync.get({ linqly_enabled: true }, (res) => {
+                if (!res.linqly_enabled) {
+                    console.log(`[Linqly] Extension disabled, not initializing ${this.name}`);
+                    return;
+                }
+
+                this.initializeInternal();
+            });
+        },
+
+        /* Internal initialization method */
+        initializeInternal() {
+            // Clean up any existing listeners first
+            this.detach();
+            this.currentPath = window.location.href;
+            LinqlyDiagnostics.reset(this.name);
+
+            // Add CSS to prevent text selection during shift+click
+            LinqlyUtils.addTextSelectionPreventionCSS();
+
+            // Function to try attaching the listener; fallback grid strategies only once the wait is over
+            const tryAttach = (useFallbacks = false) => {
+                const gridContent = this.findGridContent(useFallbacks);
+
+                if (gridContent) {
+                    console.log(`[Linqly] Found ${this.name} grid content, attaching listener...`);
+                    this.tableBody = gridContent; // Store reference to track changes
+                    this.checkSelectors(gridContent);
+                    this.attachDelegatedListener(gridContent);
+                    this.isInitialized = true;
+                    LinqlyDiagnostics.hideIndicator();
+                    LinqlyUtils.notifySelectionChange();
+                    return true;
+                }
+                return false;
+            };
+
+            // Try immediately
+            if (tryAttach()) return;
+
+            // If not found, set up an observer; detach() stops it and the timers below
+            console.log(`[Linqly] ${this.name} grid content not found, setting up observer...`);
+            const observer = new MutationObserver((mutations, obs) => {
+                if (tryAttach()) {
+                    console.log('[Linqly] Successfully attached via observer');
+                    obs.disconnect();
+                }
+            });
+            this.attachObserver = observer;
+
+            observer.observe(document.documentElement, {
+                childList: true,
+                subtree: true
+            });
+
+            // Also try again after a delay in case the observer misses it
+            this.attachTimers.push(setTimeout(() => {
+                if (!this.isInitialized && tryAttach()) {
+                    console.log('[Linqly] Successfully attached via timeout');
+                    observer.disconnect();
+                }
+            }, 1000));
+
+            // Stop waiting after a while: try the fallback strategies, then report the missing grid
+            this.attachTimers.push(setTimeout(() => {
+                observer.disconnect();
+                if (this.isInitialized || this.gridOptional || this.currentPath !== window.location.href) return;
+
+                if (tryAttach(true)) {
+                    console.log('[Linqly] Successfully attached via a fallback grid strategy');
+                } else {
+                    LinqlyDiagnostics.showIndicator();
+                }
+            }, 5000));
+        },
+
+        /* Locate the element holding the grid rows. With useFallbacks, Clio markup the
+           grid selector no longer matches is tried as well (see LinqlyDiagnostics). */
+        findGridContent(useFallbacks = false) {
+            const gridSelector = this.getGridSelector();
+            const strategies = useFallbacks && !this.gridOptional
+                ? LinqlyDiagnostics.strategiesFor('grid', gridSelector)
+                : [{ name: 'module', selector: gridSelector }];
+            const match = LinqlyDiagnostics.resolve(this.name, 'grid', strategies);
+            return match ? match.element : null;
+        },
+
+        /* Check the row and checkbox selectors against the rendered rows. When Clio's markup
+           no longer matches them, use the first fallback that does until the module detaches. */
+        checkSelectors(gridContent) {
+            const selectors = this.getSelectors();
+            const row = LinqlyDiagnostics.resolve(this.name, 'row', LinqlyDiagnostics.strategiesFor('row', selectors.row), gridContent);
+            // An empty list has no rows to check yet
+            if (!row) return;
+            if (row.strategy.name !== 'module') {
+                this.healedSelectors.row = row.strategy.selector;
+            }
+
+            const checkbox = LinqlyDiagnostics.resolve(this.name, 'checkbox', LinqlyDiagnostics.strategiesFor('checkbox', selectors.checkbox), row.element);
+            if (checkbox && checkbox.strategy.name !== 'module') {
+                this.healedSelectors.checkbox = checkbox.strategy.selector;
+            }
+        },
+
+        /* Get the row and checkbox selectors for this page; an imported selector profile wins */
+        getSelectors() {
+            return {
+                ...LinqlySelectionEngine.commonSelectors,
+                ...this.selectors,
+                ...this.healedSelectors,
+                ...this.getSelectorOverrides(),
+                isCustomCheckbox: this.checkboxType === 'custom'
+            };
+        },
+
+        /* This module's key in an imported selector profile: its setting name without
+           linqly_page_, or 'default' for modules without a setting */
+        getProfilePageId() {
+            return this.settingKey ? this.settingKey.replace(/^linqly_page_/, '') : 'default';
+        },
+
+        /* Row, checkbox and exclude selectors from the imported profile */
+        getSelectorOverrides() {
+            const { grid, ...overrides } = LinqlySelectorOverrides.get(this.getProfilePageId());
+            return overrides;
+        },
+
+        /* The grid selector, from the imported profile when it sets one */
+        getGridSelector() {
+            return LinqlySelectorOverrides.get(this.getProfilePageId()).grid || this.gridSelector;
+        },
+
+        /* Elements inside a row whose clicks are left to Clio */
+        getExcludeSelector() {
+            const exclude = this.getSelectors().exclude;
+            return exclude
+                ? `${LinqlySelectionEngine.interactiveSelector}, ${exclude}`
+                : LinqlySelectionEngine.interactiveSelector;
+        },
+
+        /* True when the element is (or sits inside) a row checkbox or its label */
+        isCheckboxTarget(element) {
+            const checkboxSelector = this.checkboxType === 'custom'
+                ? 'input[type="checkbox"], span[role="checkbox"], label'
+                : 'input[type="checkbox"], label';
+            return !!element.closest(checkboxSelector);
+        },
+
+        /* Attach delegated click listener to the grid content */
+        attachDelegatedListener(container) {
+            console.log(`[Linqly] Attaching delegated listener to ${this.name} grid content`);
+
+            // Clean up any existing listener first
+            if (this.listener) {
+                this.listener();
+                this.listener = null;
+            }
+
+            // Add mouse event listeners to prevent text selection during shift+click
+            this.addMouseEventListeners(container);
+
+            const handleClick = (event) => {
+                // Ignore synthetic events triggered by scripts (like Clio's Angular framework)
+                if (!event.isTrusted) {
+                    console.log('[Linqly] Ignoring synthetic event (not user-triggered)');
+                    return;
+                }
+
+                // The click that ends a drag-select must not toggle anything again
+                if (this.suppressClick) {
+                    this.suppressClick = false;
+                    event.preventDefault();
+                    event.stopPropagation();
+                    return;
+                }
+
+                this.handleRowClick(event, container);
+                LinqlyUtils.notifySelectionChange();
+            };
+
+            // Use capture phase with passive: false to allow preventDefault
+            const options = {
+                capture: true,
+                passive: false  // Allow preventDefault for shift-click
+            };
+
+            container.addEventListener('click', handleClick, options);
+            const stopWatchingSelection = this.watchSelection(container);
+            const stopTotals = this.totals ? LinqlyTotals.attach(this) : () => {};
+
+            // Store cleanup function
+            this.listener = () => {
+                console.log(`[Linqly] Removing ${this.name} click listener`);
+                container.removeEventListener('click', handleClick, options);
+                stopWatchingSelection();
+                stopTotals();
+            };
+
+            console.log(`[Linqly] Delegated listener attached to ${this.name} grid content`);
+        },
+
+        /* Remember the selection by record ID and put it back when Clio re-renders the rows
+           (paging, sorting, filtering). Returns a cleanup function. */
+        watchSelection(container) {
+            const remember = () => this.rememberSelection();
+            // Only rows Clio just rendered: re-checking every row would undo an uncheck the
+            // debounced selectionchange has not stored yet
+            const observer = new MutationObserver(mutations => {
+                const rowSelector = this.getSelectors().row;
+                const addedRows = new Set();
+                mutations.forEach(mutation => mutation.addedNodes.forEach(node => {
+                    if (node.nodeType !== Node.ELEMENT_NODE) return;
+                    if (node.matches(rowSelector)) addedRows.add(node);
+                    node.querySelectorAll(rowSelector).forEach(row => addedRows.add(row));
+                }));
+                if (addedRows.size > 0) this.restoreSelection(addedRows);
+            });
+            observer.observe(container, { childList: true, subtree: true });
+            document.addEventListener('linqly:selectionchange', remember);
+
+            // Clio's own checkboxes, the header select-all included, change rows without going
+            // through the engine; listen on the whole grid so the store hears about them
+            const grid = container.closest('.k-grid, [kendo-grid], th-data-table, table') || container;
+            const handleCheckboxEvent = (event) => {
+                const checkbox = event.target.closest && event.target.closest('input[type="checkbox"], span[role="checkbox"]');
+                if (!checkbox) return;
+
+                const row = event.type === 'change' && checkbox.closest(this.getSelectors().row);
+                if (row && container.contains(row)) this.rememberRow(row, checkbox);
+                LinqlyUtils.notifySelectionChange();
+            };
+            // Clio's clear button also drops the rows on other pages of the grid
+            const handleClearClick = (event) => {
+                if (event.target.closest && this.isClearButton(event.target)) {
+                    LinqlySelectionStore.clear();
+                    LinqlyUtils.notifySelectionChange();
+                }
+            };
+            grid.addEventListener('change', handleCheckboxEvent, true);
+            grid.addEventListener('click', handleCheckboxEvent, true);
+            document.addEventListener('click', handleClearClick, true);
+            this.restoreSelection();
+
+            return () => {
+                observer.disconnect();
+                document.removeEventListener('linqly:selectionchange', remember);
+                grid.removeEventListener('change', handleCheckboxEvent, true);
+                grid.removeEventListener('click', handleCheckboxEvent, true);
+                document.removeEventListener('click', handleClearClick, true);
+            };
+        },
+
+        /* True when the element is (or sits inside) Clio's clear-selection button */
+        isClearButton(element) {
+            return LinqlyDiagnostics.fallbacks.clearButton.some(strategy => {
+                const button = element.closest(strategy.selector);
+                return !!button && (!strategy.accept || strategy.accept(button));
+            });
+        },
+
+        /* Copy the checked state of the rendered rows into the selection store */
+        rememberSelection() {
+            if (!this.tableBody || !LinqlySettings.get('linqly_preserve_selection')) return;
+
+            const selectors = this.getSelectors();
+            LinqlySelectionStore.update(this.getVisibleRows(this.tableBody).map(row => {
+                const checkbox = row.querySelector(selectors.checkbox);
+                return {
+                    recordId: LinqlyUtils.getRecordId(row),
+                    selected: !!checkbox && LinqlyUtils.getCheckboxState(checkbox)
+                };
+            }));
+        },
+
+        /* Store one row's checked state right away instead of waiting for the debounced
+           selectionchange */
+        rememberRow(row, checkbox) {
+            if (!LinqlySettings.get('linqly_preserve_selection')) return;
+
+            const recordId = LinqlyUtils.getRecordId(row);
+            if (!recordId) return;
+            LinqlySelectionStore.update([{ recordId, selected: LinqlyUtils.getCheckboxState(checkbox) }]);
+        },
+
+        /* Re-check rendered rows whose record is in the selection store; `onlyRows` limits it
+           to a set of rows, e.g. the ones Clio just rendered */
+        restoreSelection(onlyRows = null) {
+            if (!this.tableBody || !LinqlySettings.get('linqly_preserve_selection')) return;
+            if (LinqlySelectionStore.size() === 0) return;
+
+            const selectors = this.getSelectors();
+            let restored = 0;
+            this.getVisibleRows(this.tableBody).forEach(row => {
+                if (onlyRows && !onlyRows.has(row)) return;
+
+                const recordId = LinqlyUtils.getRecordId(row);
+                if (!recordId || !LinqlySelectionStore.has(recordId)) return;
+
+                const checkbox = row.querySelector(selectors.checkbox);
+                if (checkbox && !LinqlyUtils.getCheckboxState(checkbox)) {
+                    this.setCheckboxState(checkbox, true, row);
+                    restored++;
+                }
+            });
+
+            if (restored > 0) {
+                console.log(`[Linqly] Restored ${restored} selected rows on ${this.name}`);
+                LinqlyUtils.notifySelectionChange();
+            }
+        },
+
+        /* Toggle on plain clicks, select a range on shift+click.
+           Like a file manager: Ctrl/Cmd+click toggles one row and makes it the anchor,
+           Shift+click replaces the selection with a range, Ctrl/Cmd+Shift+click adds one. */
+        handleRowClick(event, container) {
+            const selectors = this.getSelectors();
+            const isCheckbox = this.isCheckboxTarget(event.target);
+            const isToggleClick = event.ctrlKey || event.metaKey;
+
+            if (!isCheckbox && event.target.closest(this.getExcludeSelector())) {
+                console.log('[Linqly] Click on interactive element, ignoring');
+                return;
+            }
+
+            const row = event.target.closest(selectors.row);
+            if (!row) {
+                console.log('[Linqly] Click outside row, resetting lastClickedRow');
+                this.setAnchor(null);
+                return;
+            }
+
+            try {
+                if (event.shiftKey && this.lastClickedRow && LinqlySettings.get('linqly_shift_range_select')) {
+                    console.log(`[Linqly] Running SHIFT-CLICK logic on ${this.name}`);
+                    event.preventDefault();
+                    this.preventTextSelection(container);
+                    this.selectRange(this.lastClickedRow, row, { additive: isToggleClick });
+                    // Do not update lastClickedRow during shift-click; Shift+Arrow continues from here
+                    this.rangeEndUid = LinqlyUtils.getRowUid(row);
+                    return;
+                }
+
+                if (isCheckbox) {
+                    // Direct checkbox clicks are left to Clio, they only move the anchor
+                    this.setAnchor(row);
+                    return;
+                }
+
+                // Ctrl/Cmd+click is an explicit request, so it works even with row-click select off
+                if (!isToggleClick && !LinqlySettings.get('linqly_row_click_select')) {
+                    console.log('[Linqly] Row-click select is turned off, ignoring');
+                    return;
+                }
+
+                const checkbox = row.querySelector(selectors.checkbox);
+                if (!checkbox) {
+                    console.log('[Linqly] Checkbox not found with selector:', selectors.checkbox);
+                    return;
+                }
+
+                console.log(`[Linqly] Running NORMAL CLICK logic on ${this.name}`);
+                const newState = !LinqlyUtils.getCheckboxState(checkbox);
+                this.checkRow(checkbox, newState, row);
+
+                // Update lastClickedRow for future shift-clicks only on normal clicks
+                this.setAnchor(row);
+            } catch (error) {
+                console.error(`[Linqly] Error handling row click on ${this.name}:`, error);
+            }
+        },
+
+        /* Check or uncheck one row's checkbox so Clio's framework sees the change */
+        setCheckboxState(checkbox, state, row) {
+            LinqlyUtils.setCheckboxState(checkbox, state, row, this.pageType);
+        },
+
+        /* Change a row's checkbox and record it in the selection store in the same step */
+        checkRow(checkbox, state, row) {
+            this.setCheckboxState(checkbox, state, row);
+            this.rememberRow(row, checkbox);
+        },
+
+        /* Rows of a grid body that are currently rendered and visible to the user */
+        getVisibleRows(gridBody) {
+            const selectors = this.getSelectors();
+            return Array.from(gridBody.querySelectorAll(selectors.row))
+                .filter(row => row.offsetParent !== null);
+        },
+
+        /* Find the live row for a UID; Clio may have re-rendered the row since we saw it */
+        findLiveRow(gridBody, uid) {
+            const selectors = this.getSelectors();
+            const escapedUid = CSS.escape(uid);
+            return gridBody.querySelector(`tr[data-uid="${escapedUid}"], tr[data-kendo-uid="${escapedUid}"], tr[id="${escapedUid}"], tr[data-row-index="${escapedUid}"]`)
+                || Array.from(gridBody.querySelectorAll(selectors.row)).find(row => LinqlyUtils.getRowUid(row) === uid);
+        },
+
+        /* Check every row between the anchor and the target. The anchor keeps its state.
+           Unless options.additive is set, rows outside the range are unchecked. */
+        selectRange(anchorRow, targetRow, options = {}) {
+            const selectors = this.getSelectors();
+            const gridBody = targetRow.closest('tbody');
+            if (!gridBody) {
+                console.log('[Linqly] No grid body found');
+                return false;
+            }
+
+            // Work from UIDs rather than elements so the list does not go stale mid-loop
+            const visibleRowUids = this.getVisibleRows(gridBody).map(row => LinqlyUtils.getRowUid(row));
+            const startUid = LinqlyUtils.getRowUid(anchorRow);
+            const endUid = LinqlyUtils.getRowUid(targetRow);
+            const startIndex = visibleRowUids.indexOf(startUid);
+            const endIndex = visibleRowUids.indexOf(endUid);
+
+            if (startIndex === -1 || endIndex === -1) {
+                console.log('[Linqly] Invalid start or end index');
+                return false;
+            }
+
+            const rangeStart = Math.min(startIndex, endIndex);
+            const rangeEnd = Math.max(startIndex, endIndex);
+            console.log('[Linqly] Processing range from index', rangeStart, 'to', rangeEnd);
+
+            for (let i = rangeStart; i <= rangeEnd; i++) {
+                const currentUid = visibleRowUids[i];
+                if (currentUid === startUid) continue;
+
+                const liveRow = this.findLiveRow(gridBody, currentUid);
+                if (!liveRow) {
+                    console.log('[Linqly] Could not find live row for UID:', currentUid);
+                    continue;
+                }
+
+                const checkbox = liveRow.querySelector(selectors.checkbox);
+                if (checkbox) {
+                    this.checkRow(checkbox, true, liveRow);
+                }
+            }
+
+            if (!options.additive) {
+                const outsideRows = visibleRowUids
+                    .filter((uid, index) => index < rangeStart || index > rangeEnd)
+                    .map(uid => this.findLiveRow(gridBody, uid))
+                    .filter(Boolean);
+                this.setRowsSelected(outsideRows, false);
+            }
+            LinqlyUtils.notifySelectionChange();
+            return true;
+        },
+
+        /* Make a row the anchor for shift-click and Shift+Arrow ranges; the keyboard cursor follows it */
+        setAnchor(row) {
+            this.lastClickedRow = row;
+            this.rangeEndUid = null;
+            this.focusedUid = row ? LinqlyUtils.getRowUid(row) : null;
+            this.renderFocus();
+        },
+
+        /* Mark the row under the keyboard cursor; Clio may have re-rendered it, so look it up by UID */
+        renderFocus() {
+            if (!this.tableBody) return null;
+            this.tableBody.querySelectorAll('.linqly-focused-row').forEach(row => row.classList.remove('linqly-focused-row'));
+
+            const row = this.focusedUid ? this.findLiveRow(this.tableBody, this.focusedUid) : null;
+            if (row) {
+                row.classList.add('linqly-focused-row');
+            }
+            return row;
+        },
+
+        /* Move the keyboard cursor one row (direction 1 = down, -1 = up); the new row becomes the anchor */
+        moveFocus(direction) {
+            if (!this.tableBody) return false;
+
+            const rows = this.getVisibleRows(this.tableBody);
+            if (rows.length === 0) return false;
+
+            const index = this.focusedUid ? rows.findIndex(row => LinqlyUtils.getRowUid(row) === this.focusedUid) : -1;
+            const nextIndex = index === -1
+                ? (direction > 0 ? 0 : rows.length - 1)
+                : Math.min(Math.max(index + direction, 0), rows.length - 1);
+
+            this.setAnchor(rows[nextIndex]);
+            rows[nextIndex].scrollIntoView({ block: 'nearest' });
+            return true;
+        },
+
+        /* Grow or shrink the range by one row (direction 1 = down, -1 = up), like Shift+Arrow in a file list */
+        extendSelection(direction) {
+            if (!this.tableBody || !this.lastClickedRow) return false;
+
+            const rows = this.getVisibleRows(this.tableBody);
+            const uids = rows.map(row => LinqlyUtils.getRowUid(row));
+            const anchorIndex = uids.indexOf(LinqlyUtils.getRowUid(this.lastClickedRow));
+            if (anchorIndex === -1) {
+                console.log('[Linqly] Anchor row is no longer in the grid');
+                return false;
+            }
+
+            let endIndex = this.rangeEndUid ? uids.indexOf(this.rangeEndUid) : anchorIndex;
+            if (endIndex === -1) endIndex = anchorIndex;
+
+            const nextIndex = endIndex + direction;
+            if (nextIndex < 0 || nextIndex >= rows.length) return false;
+
+            // Moving away from the anchor adds the next row, moving back releases the current end
+            if (Math.abs(nextIndex - anchorIndex) > Math.abs(endIndex - anchorIndex)) {
+                this.setRowsSelected([rows[nextIndex]], true);
+            } else {
+                this.setRowsSelected([rows[endIndex]], false);
+            }
+            this.rangeEndUid = uids[nextIndex];
+            this.focusedUid = uids[nextIndex];
+            const focusedRow = this.renderFocus();
+            if (focusedRow) focusedRow.scrollIntoView({ block: 'nearest' });
+            return true;
+        },
+
+        /* Visible rows of the attached grid whose checkbox is checked */
+        getSelectedRows() {
+            if (!this.tableBody) return [];
+            const selectors = this.getSelectors();
+            return this.getVisibleRows(this.tableBody).filter(row => {
+                const checkbox = row.querySelector(selectors.checkbox);
+                return checkbox && LinqlyUtils.getCheckboxState(checkbox);
+            });
+        },
+
+        /* Check or uncheck a set of rows, skipping the ones already in that state */
+        setRowsSelected(rows, state) {
+            const selectors = this.getSelectors();
+            let changed = 0;
+            rows.forEach(row => {
+                const checkbox = row.querySelector(selectors.checkbox);
+                if (checkbox && LinqlyUtils.getCheckboxState(checkbox) !== state) {
+                    this.checkRow(checkbox, state, row);
+                    changed++;
+                }
+            });
+            LinqlyUtils.notifySelectionChange();
+            return changed;
+        },
+
+        /* Bulk actions used by the selection toolbar */
+        selectAllVisible() {
+            if (!this.tableBody) return 0;
+            return this.setRowsSelected(this.getVisibleRows(this.tableBody), true);
+        },
+
+        invertSelection() {
+            if (!this.tableBody) return 0;
+            const selected = this.getSelectedRows();
+            const unselected = this.getVisibleRows(this.tableBody).filter(row => !selected.includes(row));
+            return this.setRowsSelected(selected, false) + this.setRowsSelected(unselected, true);
+        },
+
+        clearSelection() {
+            LinqlySelectionStore.clear();
+            return this.setRowsSelected(this.getSelectedRows(), false);
+        },
+
+        /* Stop the browser from highlighting text while a range is being selected */
+        preventTextSelection(container) {
+            const gridContainer = container.closest('.k-grid-content, .k-grid-table-wrap, [kendo-grid]');
+            if (gridContainer) {
+                gridContainer.classList.add('shift-click-active');
+                setTimeout(() => {
+                    gridContainer.classList.remove('shift-click-active');
+                }, 1000);
+            }
+
+            if (window.getSelection) {
+                const selection = window.getSelection();
+                if (selection.removeAllRanges) {
+                    selection.removeAllRanges();
+                } else if (selection.empty) {
+                    selection.empty();
+                }
+            }
+        },
+
+        /* Initialize if needed */
+        initializeIfNeeded() {
+            if (!this.shouldInitialize()) {
+                console.log(`[Linqly] Not initializing - not on ${this.name}`);
+                this.detach();
+                return;
+            }
+
+            // Check if we need to reinitialize due to grid content changes or URL changes;
+            // the fallback strategies only run when the grid selector misses
+            const currentPath = window.location.href;
+            const gridContent = this.findGridContent() || this.findGridContent(true);
+            const hasGridContentChanged = !this.tableBody || this.tableBody !== gridContent;
+            const hasPathChanged = this.currentPath !== currentPath;
+
+            // Don't reinitialize if already initialized and nothing has changed
+            if (this.isInitialized && !hasGridContentChanged && !hasPathChanged) {
+                console.log('[Linqly] Already initialized with same content and path, skipping');
+                return;
+            }
+
+            this.initialize();
+        },
+
+        /* Add mouse event listeners for text selection prevention */
+        addMouseEventListeners(container) {
+            this.boundMouseDown = this.handleMouseDown.bind(this);
+            this.boundMouseMove = this.handleMouseMove.bind(this);
+            this.boundMouseUp = this.handleMouseUp.bind(this);
+            this.boundKeyDown = this.handleKeyDown.bind(this);
+            this.boundKeyUp = this.handleKeyUp.bind(this);
+
+            container.addEventListener('mousedown', this.boundMouseDown, true);
+            container.addEventListener('mousemove', this.boundMouseMove, true);
+            container.addEventListener('mouseup', this.boundMouseUp, true);
+            document.addEventListener('keydown', this.boundKeyDown, true);
+            document.addEventListener('keyup', this.boundKeyUp, true);
+        },
+
+        /* Mouse event handlers */
+        handleMouseDown(event) {
+            // Only prevent text selection if shift is pressed and we're clicking on a row
+            if (event.shiftKey && LinqlySettings.get('linqly_shift_range_select')) {
+                const row = event.target.closest(this.getSelectors().row);
+                if (row) {
+                    event.preventDefault();
+                    this.isShiftPressed = true;
+                    this.isShiftClickOperation = true;
+                }
+                return;
+            }
+
+            this.startDrag(event);
+        },
+
+        handleMouseMove(event) {
+            // Only prevent text selection if we're in the middle of a shift+click operation
+            if (this.isShiftClickOperation) {
+                event.preventDefault();
+            }
+
+            if (this.drag) {
+                event.preventDefault();
+                this.updateDrag(event);
+            }
+        },
+
+        handleMouseUp() {
+            this.isShiftPressed = false;
+            this.isShiftClickOperation = false;
+        },
+
+        /* Drag-to-select starts from the checkbox column, or anywhere on a row with Alt held */
+        startDrag(event) {
+            if (event.button !== 0 || event.ctrlKey || event.metaKey || !this.tableBody) return;
+            if (!LinqlySettings.get('linqly_drag_select')) return;
+
+            const selectors = this.getSelectors();
+            const row = event.target.closest(selectors.row);
+            if (!row || !this.tableBody.contains(row)) return;
+
+            const cell = event.target.closest('td');
+            const inCheckboxColumn = !!(cell && cell.querySelector(selectors.checkbox));
+            if (!inCheckboxColumn && !event.altKey) return;
+            if (!inCheckboxColumn && event.target.closest(this.getExcludeSelector())) return;
+
+            if (event.altKey) {
+                // Alt+drag starts on text, keep the browser from selecting it
+                event.preventDefault();
+            }
+
+            const checkbox = row.querySelector(selectors.checkbox);
+            const rows = this.getVisibleRows(this.tableBody);
+            this.drag = {
+                rows,
+                startIndex: rows.indexOf(row),
+                currentIndex: rows.indexOf(row),
+                // Paint the opposite of the row the drag started on, like toggling it
+                state: !(checkbox && LinqlyUtils.getCheckboxState(checkbox)),
+                // Original state of every row the drag has touched, so dragging back can undo it
+                original: new Map(),
+                active: false
+            };
+            if (this.drag.startIndex === -1) {
+                this.drag = null;
+                return;
+            }
+
+            this.boundEndDrag = this.endDrag.bind(this);
+            document.addEventListener('mouseup', this.boundEndDrag, true);
+        },
+
+        /* Paint the rows between the start row and the row under the pointer */
+        updateDrag(event) {
+            const drag = this.drag;
+            const row = event.target.closest && event.target.closest(this.getSelectors().row);
+            const index = row ? drag.rows.indexOf(row) : -1;
+            if (index === -1 || index === drag.currentIndex) return;
+
+            if (!drag.active) {
+                // The pointer left the first row, so this is a drag and not a click
+                drag.active = true;
+                this.tableBody.classList.add('shift-click-active');
+            }
+            drag.currentIndex = index;
+
+            const rangeStart = Math.min(drag.startIndex, index);
+            const rangeEnd = Math.max(drag.startIndex, index);
+            const selectors = this.getSelectors();
+
+            drag.rows.forEach((dragRow, i) => {
+                const checkbox = dragRow.querySelector(selectors.checkbox);
+                if (!checkbox) return;
+
+                const inRange = i >= rangeStart && i <= rangeEnd;
+                if (inRange && !drag.original.has(i)) {
+                    drag.original.set(i, LinqlyUtils.getCheckboxState(checkbox));
+                }
+                if (!drag.original.has(i)) return;
+
+                const wanted = inRange ? drag.state : drag.original.get(i);
+                if (LinqlyUtils.getCheckboxState(checkbox) !== wanted) {
+                    this.checkRow(checkbox, wanted, dragRow);
+                }
+                if (!inRange) {
+                    drag.original.delete(i);
+                }
+            });
+
+            this.showDragBand(drag.rows[rangeStart], drag.rows[rangeEnd]);
+        },
+
+        /* Translucent band over the rows being painted (styled in styles.css) */
+        showDragBand(firstRow, lastRow) {
+            let band = document.getElementById('linqly-drag-band');
+            if (!band) {
+                band = document.createElement('div');
+                band.id = 'linqly-drag-band';
+                band.setAttribute('data-linqly-ui', '');
+                document.body.appendChild(band);
+            }
+
+            const top = firstRow.getBoundingClientRect();
+            const bottom = lastRow.getBoundingClientRect();
+            band.style.left = `${top.left}px`;
+            band.style.top = `${top.top}px`;
+            band.style.width = `${top.width}px`;
+            band.style.height = `${bottom.bottom - top.top}px`;
+        },
+
+        /* Finish a drag: drop the band and make the painted range the new anchor range */
+        endDrag() {
+            const drag = this.drag;
+            this.drag = null;
+            document.removeEventListener('mouseup', this.boundEndDrag, true);
+            this.boundEndDrag = null;
+
+            const band = document.getElementById('linqly-drag-band');
+            if (band) band.remove();
+            if (!drag || !drag.active) return;
+
+            if (this.tableBody) this.tableBody.classList.remove('shift-click-active');
+            this.setAnchor(drag.rows[drag.startIndex]);
+            this.rangeEndUid = LinqlyUtils.getRowUid(drag.rows[drag.currentIndex]);
+            LinqlyUtils.notifySelectionChange();
+
+            // Swallow the click the browser fires after mouseup; clear the flag if none comes
+            this.suppressClick = true;
+            setTimeout(() => {
+                this.suppressClick = false;
+            }, 0);
+        },
+
+        handleKeyDown(event) {
+            if (event.key === 'Shift') {
+                this.isShiftPressed = true;
+                return;
+            }
+            this.handleNavigationKey(event);
+        },
+
+        /* Keyboard row navigation: J/K or the arrows move the cursor, Space toggles the row,
+           Enter opens its primary link and Shift extends the range from the anchor */
+        handleNavigationKey(event) {
+            if (!this.tableBody || event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey) return;
+            if (LinqlyUtils.isTypingTarget(event.target) || LinqlyUtils.isModalOpen()) return;
+
+            const key = event.key;
+            const direction = LinqlySelectionEngine.navigationKeys[key];
+            const isArrow = key === 'ArrowDown' || key === 'ArrowUp';
+
+            if (direction) {
+                if (event.shiftKey) {
+                    // Shift+Arrow belongs to the keyboard commands, Shift+J/K to navigation
+                    if (!LinqlySettings.get(isArrow ? 'linqly_keyboard_commands' : 'linqly_keyboard_navigation')) return;
+                    if (!this.lastClickedRow && this.focusedUid) {
+                        this.setAnchor(this.renderFocus());
+                    }
+                    if (this.extendSelection(direction)) {
+                        event.preventDefault();
+                    }
+                    return;
+                }
+
+                if (!LinqlySettings.get('linqly_keyboard_navigation')) return;
+                // Leave page scrolling alone until the cursor is in use
+                if (isArrow && !this.focusedUid) return;
+                if (this.moveFocus(direction)) {
+                    event.preventDefault();
+                }
+                return;
+            }
+
+            if (event.shiftKey || !this.focusedUid || !LinqlySettings.get('linqly_keyboard_navigation')) return;
+            if (key !== ' ' && key !== 'Enter') return;
+            // Space and Enter keep their meaning on Clio's own buttons and links
+            if (event.target.closest && event.target.closest(LinqlySelectionEngine.interactiveSelector)) return;
+
+            const row = this.renderFocus();
+            if (!row) return;
+            event.preventDefault();
+
+            if (key === ' ') {
+                const checkbox = row.querySelector(this.getSelectors().checkbox);
+                if (checkbox) {
+                    this.checkRow(checkbox, !LinqlyUtils.getCheckboxState(checkbox), row);
+                    this.setAnchor(row);
+                    LinqlyUtils.notifySelectionChange();
+                }
+            } else {
+                const link = row.querySelector('a[href]');
+                if (link) {
+                    console.log(`[Linqly] Opening ${link.getAttribute('href')} from the keyboard`);
+                    link.click();
+                }
+            }
+        },
+
+        handleKeyUp(event) {
+            if (event.key === 'Shift') {
+                this.isShiftPressed = false;
+                this.isShiftClickOperation = false;
+            }
+        },
+
+        /* Remove mouse event listeners */
+        removeMouseEventListeners() {
+            if (this.tableBody) {
+                if (this.boundMouseDown) {
+                    this.tableBody.removeEventListener('mousedown', this.boundMouseDown, true);
+                    this.boundMouseDown = null;
+                }
+                if (this.boundMouseMove) {
+                    this.tableBody.removeEventListener('mousemove', this.boundMouseMove, true);
+                    this.boundMouseMove = null;
+                }
+                if (this.boundMouseUp) {
+                    this.tableBody.removeEventListener('mouseup', this.boundMouseUp, true);
+                    this.boundMouseUp = null;
+                }
+            }
+
+            // Clean up document-level key listeners
+            if (this.boundKeyDown) {
+                document.removeEventListener('keydown', this.boundKeyDown, true);
+                this.boundKeyDown = null;
+            }
+            if (this.boundKeyUp) {
+                document.removeEventListener('keyup', this.boundKeyUp, true);
+                this.boundKeyUp = null;
+            }
+        },
+
+        /* Detach the page functionality (idempotent) */
+        detach() {
+            console.log(`[Linqly] Detaching ${this.name} feature`);
+
+            if (this.listener) {
+                this.listener();
+                this.listener = null;
+            }
+
+            // Stop waiting for a grid that belongs to the route being left
+            if (this.attachObserver) {
+                this.attachObserver.disconnect();
+                this.attachObserver = null;
+            }
+            this.attachTimers.forEach(timer => clearTimeout(timer));
+            this.attachTimers = [];
+
+            if (this.drag) {
+                this.endDrag();
+            }
+            this.removeMouseEventListeners();
+            LinqlyUtils.removeTextSelectionPreventionCSS();
+
+            // Reset current path to ensure reinitialization works correctly
+            this.currentPath = '';
+            this.tableBody = null;
+            this.isInitialized = false;
+            this.healedSelectors = {};
+            LinqlyDiagnostics.hideIndicator();
+            this.lastClickedRow = null;
+            this.rangeEndUid = null;
+            this.focusedUid = null;
+            this.isShiftPressed = false;
+            this.isShiftClickOperation = false;
+            document.querySelectorAll('.shift-click-active').forEach(el => el.classList.remove('shift-click-active'));
+            document.querySelectorAll('.linqly-focused-row').forEach(el => el.classList.remove('linqly-focused-row'));
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LinqlySelectionEngine;
+} else {
+    window.LinqlySelectionEngine = LinqlySelectionEngine;
+}
@@ -0,0 +1,58 @@
+/* ========= Selection Store for Linqly Extension =========
+   Remembers which records are selected in each grid, keyed by the record
+   ID from the row links (see `LinqlyUtils.getRecordId`). Clio drops the
+   checkbox state when a grid pages, sorts or filters; the selection
+   engine uses this store to put it back when the rows are rendered again.
+   Kept in memory, so it lasts for the life of the tab.
+===================================================================== */
+
+const LinqlySelectionStore = {
+    scopes: new Map(),
+
+    /* One scope per grid route, ignoring the query string that filters and sorting change */
+    getScope(href = window.location.href) {
+        const url = new URL(href);
+        const route = url.hash.split('?')[0] || url.pathname;
+        return `${LinqlyUtils.getPageType(href)}:${route}`;
+    },
+
+    getIds(scope = this.getScope()) {
+        if (!this.scopes.has(scope)) {
+            this.scopes.set(scope, new Set());
+        }
+        return this.scopes.get(scope);
+    },
+
+    has(recordId, scope = this.getScope()) {
+        return this.getIds(scope).has(recordId);
+    },
+
+    /* Record the checked state of rendered rows; rows without a record ID are skipped */
+    update(entries, scope = this.getScope()) {
+        const ids = this.getIds(scope);
+        entries.forEach(({ recordId, selected }) => {
+            if (!recordId) return;
+            if (selected) {
+                ids.add(recordId);
+            } else {
+                ids.delete(recordId);
+            }
+        });
+    },
+
+    size(scope = this.getScope()) {
+        return this.getIds(scope).size;
+    },
+
+    /* Forget the selection of a grid, e.g. after Escape or Clio's clear button */
+    clear(scope = this.getScope()) {
+        this.scopes.delete(scope);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LinqlySelectionStore;
+} else {
+    window.LinqlySelectionStore = LinqlySelectionStore;
+}
@@ -0,0 +1,151 @@
+/* ========= Selector Overrides for Linqly Extension =========
+   A JSON profile that replaces the built-in grid, row and checkbox
+   selectors of the page modules, so a Clio markup change can be patched
+   without waiting for a release. It is imported in the popup or on the
+   options page, checked against `schema` below and kept in
+   chrome.storage.local.
+
+     {
+       "version": 1,
+       "name": "Firm patch 2026-10",
+       "pages": {
+         "matters": { "checkbox": "td.select-cell input[type=\"checkbox\"]" },
+         "default": { "row": "tbody > tr" }
+       }
+     }
+
+   "exclude" adds to the links, buttons and tabs whose clicks never
+   select a row, rather than replacing them.
+
+   Page IDs are the page modules' setting names without `linqly_page_`
+   ("bills" also covers a matter's Bills tab); "default" is the row-click
+   selector used on Clio pages without a module.
+===================================================================== */
+
+const LinqlySelectorOverrides = {
+    storageKey: 'linqly_selector_overrides',
+
+    /* What a profile may contain */
+    schema: {
+        version: 1,
+        pages: ['matters', 'contacts', 'tasks', 'activities', 'bills', 'documents', 'trust',
+            'transactions', 'reports', 'calendar', 'grow', 'communications', 'new_bills', 'default'],
+        fields: {
+            grid: 'element holding the grid rows',
+            row: 'one grid row',
+            checkbox: 'the selection checkbox inside a row',
+            exclude: 'elements inside a row whose clicks are left to Clio, on top of links and buttons'
+        },
+        maxSelectorLength: 1000
+    },
+
+    profile: null,
+
+    /* Read the stored profile into the live copy; resolves to it or null */
+    async load() {
+        const res = await chrome.storage.local.get({ [this.storageKey]: null });
+        this.profile = res[this.storageKey];
+        return this.profile;
+    },
+
+    /* Selectors for a page ID, {} when the profile has none */
+    get(pageId) {
+        return (this.profile && this.profile.pages[pageId]) || {};
+    },
+
+    /* Problems with a parsed profile as readable strings; an empty list means it is valid */
+    validate(profile) {
+        const errors = [];
+        if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+            return ['The profile must be a JSON object.'];
+        }
+        if (profile.version !== this.schema.version) {
+            errors.push(`"version" must be ${this.schema.version}.`);
+        }
+        if (profile.name !== undefined && typeof profile.name !== 'string') {
+            errors.push('"name" must be text.');
+        }
+        if (!profile.pages || typeof profile.pages !== 'object' || Array.isArray(profile.pages)) {
+            errors.push('"pages" must be an object of page IDs.');
+            return errors;
+        }
+
+        Object.entries(profile.pages).forEach(([pageId, selectors]) => {
+            if (!this.schema.pages.includes(pageId)) {
+                errors.push(`Unknown page "${pageId}". Use one of: ${this.schema.pages.join(', ')}.`);
+                return;
+            }
+            if (!selectors || typeof selectors !== 'object' || Array.isArray(selectors)) {
+                errors.push(`"${pageId}" must be an object of selectors.`);
+                return;
+            }
+            Object.entries(selectors).forEach(([field, selector]) => {
+                const where = `${pageId}.${field}`;
+                if (!(field in this.schema.fields)) {
+                    errors.push(`Unknown field "${where}". Use one of: ${Object.keys(this.schema.fields).join(', ')}.`);
+                } else if (typeof selector !== 'string' || !selector.trim()) {
+                    errors.push(`"${where}" must be a non-empty selector.`);
+                } else if (selector.length > this.schema.maxSelectorLength) {
+                    errors.push(`"${where}" is longer than ${this.schema.maxSelectorLength} characters.`);
+                } else if (!this.isValidSelector(selector)) {
+                    errors.push(`"${where}" is not a valid CSS selector: ${selector}`);
+                }
+            });
+        });
+        return errors;
+    },
+
+    isValidSelector(selector) {
+        try {
+            document.createDocumentFragment().querySelector(selector);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /* Parse, validate and store a profile from JSON text. Resolves to { profile } or { errors }. */
+    async import(text) {
+        let profile;
+        try {
+            profile = JSON.parse(text);
+        } catch (error) {
+            return { errors: [`Not valid JSON: ${error.message}`] };
+        }
+
+        const errors = this.validate(profile);
+        if (errors.length > 0) {
+            return { errors };
+        }
+
+        await this.save(profile);
+        return { profile };
+    },
+
+    /* Store a profile that has passed validate() */
+    async save(profile) {
+        await chrome.storage.local.set({ [this.storageKey]: profile });
+        this.profile = profile;
+    },
+
+    async clear() {
+        await chrome.storage.local.remove(this.storageKey);
+        this.profile = null;
+    },
+
+    /* Call listener(profile) when the stored profile changes, in any context */
+    onChange(listener) {
+        chrome.storage.onChanged.addListener((changes, namespace) => {
+            if (namespace !== 'local' || !(this.storageKey in changes)) return;
+            this.profile = changes[this.storageKey].newValue || null;
+            listener(this.profile);
+        });
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LinqlySelectorOverrides;
+} else {
+    window.LinqlySelectorOverrides = LinqlySelectorOverrides;
+}
@@ -0,0 +1,199 @@
+/* ========= Settings File for Linqly Extension =========
+   Everything a user can configure in one JSON file, so a firm can set
+   Linqly up once and import the same file on every workstation:
+
+     {
+       "format": "linqly-settings",
+       "version": 1,
+       "exportedAt": "2026-10-19T09:30:00.000Z",
+       "settings": { "linqly_page_trust": true, "linqly_shortcut_select_all": "KeyA", ... },
+       "exportTemplates": { "matters": [{ "id": "...", "name": "...", "columns": [...] }] },
+       "statisticsPins": { "activities": ["Hours"] },
+       "selectorProfile": null
+     }
+
+   Every section is optional on import; sections left out keep their
+   current values. The selection basket is not included, it only lives
+   for the browser session.
+===================================================================== */
+
+const LinqlySettingsFile = {
+    format: 'linqly-settings',
+    version: 1,
+
+    /* Collect the current configuration from storage */
+    async build() {
+        const sync = await chrome.storage.sync.get({
+            ...LinqlySettings.defaults,
+            [LinqlyStatistics.storageKey]: {}
+        });
+        const settings = {};
+        Object.keys(LinqlySettings.defaults).forEach(key => {
+            settings[key] = sync[key];
+        });
+
+        return {
+            format: this.format,
+            version: this.version,
+            exportedAt: new Date().toISOString(),
+            settings,
+            exportTemplates: await LinqlyExportTemplates.load(),
+            statisticsPins: sync[LinqlyStatistics.storageKey],
+            selectorProfile: await LinqlySelectorOverrides.load()
+        };
+    },
+
+    /* Problems with a parsed settings file as readable strings; an empty list means it can be applied.
+       Shortcuts the file leaves out are checked against `current`, so two commands never share a key. */
+    validate(data, current = LinqlySettings.defaults) {
+        if (!this.isObject(data) || data.format !== this.format) {
+            return ['This is not a Linqly settings file.'];
+        }
+        if (data.version !== this.version) {
+            return [`Settings file version ${data.version} is not supported; this version of Linqly reads version ${this.version}.`];
+        }
+
+        const errors = [];
+        if (data.settings !== undefined) {
+            if (!this.isObject(data.settings)) {
+                errors.push('"settings" must be an object.');
+            } else {
+                Object.entries(data.settings).forEach(([key, value]) => {
+                    if (!(key in LinqlySettings.defaults)) {
+                        errors.push(`Unknown setting "${key}".`);
+                    } else if (typeof value !== typeof LinqlySettings.defaults[key]) {
+                        errors.push(`"${key}" must be ${typeof LinqlySettings.defaults[key] === 'boolean' ? 'true or false' : 'text'}.`);
+                    }
+                });
+                if (errors.length === 0) {
+                    errors.push(...LinqlyShortcuts.validate({ ...current, ...data.settings }));
+                }
+            }
+        }
+
+        if (data.exportTemplates !== undefined) {
+            errors.push(...this.validateTemplates(data.exportTemplates));
+        }
+
+        if (data.statisticsPins !== undefined) {
+            const valid = this.isObject(data.statisticsPins) && Object.values(data.statisticsPins).every(pins =>
+                Array.isArray(pins) && pins.every(pin => typeof pin === 'string'));
+            if (!valid) {
+                errors.push('"statisticsPins" must map page types to lists of column titles.');
+            }
+        }
+
+        if (data.selectorProfile !== undefined && data.selectorProfile !== null) {
+            errors.push(...LinqlySelectorOverrides.validate(data.selectorProfile).map(error => `Selector profile: ${error}`));
+        }
+        return errors;
+    },
+
+    validateTemplates(all) {
+        if (!this.isObject(all)) {
+            return ['"exportTemplates" must map page types to lists of templates.'];
+        }
+
+        const errors = [];
+        Object.entries(all).forEach(([pageType, templates]) => {
+            if (!Array.isArray(templates)) {
+                errors.push(`Export templates for "${pageType}" must be a list.`);
+                return;
+            }
+            templates.forEach((template, index) => {
+                const valid = this.isObject(template)
+                    && typeof template.id === 'string'
+                    && typeof template.name === 'string' && template.name.trim() !== ''
+                    && Array.isArray(template.columns)
+                    && template.columns.every(column => this.isObject(column) && typeof column.source === 'string')
+                    && (template.format === undefined || template.format === 'csv' || template.format === 'xlsx')
+                    && (template.dateFormat === undefined || template.dateFormat in LinqlyExportTemplates.dateFormats);
+                if (!valid) {
+                    errors.push(`Export template ${index + 1} for "${pageType}" is incomplete or has an unknown format.`);
+                }
+            });
+        });
+        return errors;
+    },
+
+    isObject(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    },
+
+    /* Parse, validate and store a settings file from JSON text. Resolves to { data } or { errors };
+       nothing is stored when there are errors. A write Chrome refuses (e.g. over the sync quota) is
+       rolled back; `partial` is set when that fails too. Open Clio tabs pick the changes up from storage. */
+    async import(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            return { errors: [`Not valid JSON: ${error.message}`] };
+        }
+
+        const errors = this.validate(data, await chrome.storage.sync.get(LinqlySettings.defaults));
+        if (errors.length > 0) {
+            return { errors };
+        }
+
+        const previousSync = await chrome.storage.sync.get(null);
+        const previousProfile = await LinqlySelectorOverrides.load();
+        try {
+            await this.store(data);
+        } catch (error) {
+            console.error('[Linqly] Error importing settings:', error);
+            const restored = await this.restore(previousSync, previousProfile);
+            return {
+                errors: [`Chrome could not store the settings (${error.message}). Large export templates can go over the sync storage quota.`],
+                partial: !restored
+            };
+        }
+
+        console.log('[Linqly] Settings imported from a file');
+        return { data };
+    },
+
+    /* Write the sections of a validated settings file */
+    async store(data) {
+        await chrome.storage.sync.set({
+            ...data.settings,
+            ...(data.statisticsPins !== undefined ? { [LinqlyStatistics.storageKey]: data.statisticsPins } : {})
+        });
+        if (data.exportTemplates !== undefined) {
+            await LinqlyExportTemplates.replaceAll(data.exportTemplates);
+        }
+        if (data.selectorProfile === null) {
+            await LinqlySelectorOverrides.clear();
+        } else if (data.selectorProfile !== undefined) {
+            await LinqlySelectorOverrides.save(data.selectorProfile);
+        }
+    },
+
+    /* Put storage back the way it was before a failed import; resolves to false if that fails too */
+    async restore(previousSync, previousProfile) {
+        try {
+            const current = await chrome.storage.sync.get(null);
+            const added = Object.keys(current).filter(key => !(key in previousSync));
+            if (added.length > 0) {
+                await chrome.storage.sync.remove(added);
+            }
+            await chrome.storage.sync.set(previousSync);
+            if (previousProfile) {
+                await LinqlySelectorOverrides.save(previousProfile);
+            } else {
+                await LinqlySelectorOverrides.clear();
+            }
+            return true;
+        } catch (error) {
+            console.error('[Linqly] Error restoring settings after a failed import:', error);
+            return false;
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LinqlySettingsFile;
+} else {
+    window.LinqlySettingsFile = LinqlySettingsFile;
+}
@@ -0,0 +1,112 @@
+/* ========= Shared Settings for Linqly Extension =========
+   Defaults and a live copy of the per-feature toggles and shortcut keys
+   kept in chrome.storage.sync. Used by the content scripts, the popup
+   and the options page.
+===================================================================== */
+
+const LinqlySettings = {
+
+    /* Every setting with its default; anything missing from storage falls back to these */
+    defaults: {
+        linqly_enabled: true,
+        linqly_row_click_select: true,
+        linqly_shift_range_select: true,
+        linqly_drag_select: true,
+        linqly_click_away_deselect: true,
+        linqly_escape_deselect: true,
+        linqly_preserve_selection: true,
+        linqly_keyboard_commands: true,
+        linqly_keyboard_navigation: true,
+        linqly_selection_toolbar: true,
+        linqly_selection_totals: true,
+        linqly_selection_statistics: true,
+        linqly_page_matters: true,
+        linqly_page_contacts: true,
+        linqly_page_tasks: true,
+        linqly_page_activities: true,
+        linqly_page_bills: true,
+        linqly_page_documents: true,
+        linqly_page_new_bills: true,
+        linqly_page_communications: true,
+        // Opt-in page modules
+        linqly_page_trust: false,
+        linqly_page_transactions: false,
+        linqly_page_reports: false,
+        linqly_page_calendar: false,
+        linqly_page_grow: false,
+        // Alt+letter shortcuts as KeyboardEvent.code values (see LinqlyShortcuts)
+        linqly_shortcut_select_all: 'KeyA',
+        linqly_shortcut_invert: 'KeyI',
+        linqly_shortcut_select_none: 'KeyN',
+        linqly_shortcut_copy_table: 'KeyC',
+        linqly_shortcut_copy_markdown: 'KeyM'
+    },
+
+    values: null,
+    listeners: [],
+
+    /* Read all settings from storage */
+    load() {
+        return new Promise((resolve) => {
+            chrome.storage.sync.get(this.defaults, (res) => {
+                this.values = { ...this.defaults, ...res };
+                resolve(this.values);
+            });
+        });
+    },
+
+    /* Current value of a setting (defaults until load() has finished) */
+    get(key) {
+        const values = this.values || this.defaults;
+        return key in values ? values[key] : this.defaults[key];
+    },
+
+    /* Merge changed values and tell listeners about the keys that actually changed */
+    apply(changes) {
+        const values = this.values || { ...this.defaults };
+        const changed = {};
+        Object.keys(changes).forEach(key => {
+            if (values[key] !== changes[key]) {
+                values[key] = changes[key];
+                changed[key] = changes[key];
+            }
+        });
+        this.values = values;
+
+        if (Object.keys(changed).length === 0) return;
+        console.log('[Linqly] Settings changed:', changed);
+        this.listeners.forEach(listener => {
+            try {
+                listener(changed);
+            } catch (err) {
+                console.error('[Linqly] Error in settings listener:', err);
+            }
+        });
+    },
+
+    /* Subscribe to setting changes; the listener receives { key: newValue } */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+};
+
+// Keep the live copy in sync with storage, whichever context wrote it
+chrome.storage.onChanged.addListener((changes, namespace) => {
+    if (namespace !== 'sync') return;
+
+    const updates = {};
+    Object.keys(changes).forEach(key => {
+        if (key in LinqlySettings.defaults) {
+            const newValue = changes[key].newValue;
+            updates[key] = newValue === undefined ? LinqlySettings.defaults[key] : newValue;
+        }
+    });
+    LinqlySettings.apply(updates);
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LinqlySettings;
+} else {
+    window.LinqlySettings = LinqlySettings;
+}
@@ -0,0 +1,56 @@
+/* ========= Keyboard Shortcuts for Linqly Extension =========
+   The Alt+letter commands and the letter each one is mapped to. The
+   mapping lives in the `linqly_shortcut_*` settings (see LinqlySettings)
+   as KeyboardEvent.code values, so it survives Mac option-key characters
+   and can be changed on the options page.
+===================================================================== */
+
+const LinqlyShortcuts = {
+
+    /* Every command; `command` is a selection module method, `copyFormat` a LinqlyExport copy format */
+    commands: [
+        { settingKey: 'linqly_shortcut_select_all', command: 'selectAllVisible', label: 'Select all visible rows' },
+        { settingKey: 'linqly_shortcut_invert', command: 'invertSelection', label: 'Invert the selection' },
+        { settingKey: 'linqly_shortcut_select_none', command: 'clearSelection', label: 'Select none' },
+        { settingKey: 'linqly_shortcut_copy_table', copyFormat: 'table', label: 'Copy the selected rows as a table' },
+        { settingKey: 'linqly_shortcut_copy_markdown', copyFormat: 'markdown', label: 'Copy the selected rows as Markdown' }
+    ],
+
+    /* Letters a command can use. Alt+D, Alt+E and Alt+F belong to Chrome's own menus on Windows. */
+    keys: 'ABCGHIJKLMNOPQRSTUVWXYZ'.split('').map(letter => `Key${letter}`),
+
+    /* The command for an Alt+letter keydown, or null */
+    match(event) {
+        if (!event.altKey || event.ctrlKey || event.metaKey || event.shiftKey) return null;
+        return this.commands.find(shortcut => LinqlySettings.get(shortcut.settingKey) === event.code) || null;
+    },
+
+    /* 'KeyA' -> 'Alt+A' */
+    label(code) {
+        return `Alt+${code.replace(/^Key/, '')}`;
+    },
+
+    /* Problems with a { settingKey: code } mapping as readable strings; empty when it can be saved */
+    validate(mapping) {
+        const errors = [];
+        const used = {};
+        this.commands.forEach(shortcut => {
+            const code = mapping[shortcut.settingKey];
+            if (!this.keys.includes(code)) {
+                errors.push(`"${shortcut.label}" needs one of the letters ${this.keys.map(key => key.slice(3)).join(', ')}.`);
+            } else if (used[code]) {
+                errors.push(`${this.label(code)} is used by both "${used[code]}" and "${shortcut.label}".`);
+            } else {
+                used[code] = shortcut.label;
+            }
+        });
+        return errors;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LinqlyShortcuts;
+} else {
+    window.LinqlyShortcuts = LinqlyShortcuts;
+}
@@ -0,0 +1,77 @@
+/* ========= Column Statistics for Linqly Extension =========
+   Sum, average, min, max and count for every numeric, currency and
+   duration column of a selection. Columns are typed the same way as
+   the Excel export (see `LinqlyXlsx.detectColumnTypes`). Pinned
+   columns are kept per page type in chrome.storage.sync.
+===================================================================== */
+
+const LinqlyStatistics = {
+    storageKey: 'linqly_statistics_pins',
+
+    /* Column types the panel summarises */
+    numericTypes: ['number', 'money', 'moneyPlain', 'hours'],
+
+    /* Statistics for { columns, rows }: [{ title, type, symbol, count, sum, average, min, max }] */
+    compute(data) {
+        const types = LinqlyXlsx.detectColumnTypes(data);
+
+        return data.columns
+            .map((title, index) => ({ title, index, type: types[index] }))
+            .filter(column => this.numericTypes.includes(column.type))
+            .map(column => {
+                const values = data.rows
+                    .map(row => (row[column.index] ? LinqlyXlsx.toNumber(row[column.index], column.type) : null))
+                    .filter(value => value !== null);
+                const sum = values.reduce((total, value) => total + value, 0);
+
+                return {
+                    title: column.title,
+                    type: column.type,
+                    // Currency of money columns, detected the same way as the totals footer
+                    symbol: LinqlyTotals.detectSymbol(data.rows.map(row => row[column.index] || '')),
+                    count: values.length,
+                    sum,
+                    average: values.length ? sum / values.length : 0,
+                    min: values.length ? Math.min(...values) : 0,
+                    max: values.length ? Math.max(...values) : 0
+                };
+            });
+    },
+
+    /* Format a figure for its column type; money columns use the column's currency symbol */
+    format(value, type, symbol = '$') {
+        switch (type) {
+            case 'money':
+            case 'moneyPlain':
+                return LinqlyTotals.formatAmount(value, symbol);
+            case 'hours':
+                return LinqlyTotals.formatHours(value);
+            default:
+                return value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+        }
+    },
+
+    /* Pinned column titles for a page type */
+    async loadPins(pageType) {
+        const res = await chrome.storage.sync.get({ [this.storageKey]: {} });
+        return res[this.storageKey][pageType] || [];
+    },
+
+    /* Pin or unpin a column; resolves to the page type's new pins */
+    async togglePin(pageType, title) {
+        const res = await chrome.storage.sync.get({ [this.storageKey]: {} });
+        const all = res[this.storageKey];
+        const pins = all[pageType] || [];
+        const updated = pins.includes(title) ? pins.filter(pin => pin !== title) : [...pins, title];
+
+        await chrome.storage.sync.set({ [this.storageKey]: { ...all, [pageType]: updated } });
+        return updated;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LinqlyStatistics;
+} else {
+    window.LinqlyStatistics = LinqlyStatistics;
+}
@@ -0,0 +1,184 @@
+/* ========= Selection Totals for Linqly Extension =========
+   Live sums of the selected rows, shown in a footer under the grid:
+   hours, amount, billable versus non-billable and a count per user.
+   Page modules opt in with `totals: true` in their descriptor; columns
+   are found by their header titles, so a grid without an hours or
+   amount column simply leaves that figure out.
+===================================================================== */
+
+const LinqlyTotals = {
+
+    /* Header titles for each figure; the first matching column wins */
+    columnPatterns: {
+        // Not "Quantity": on expenses it counts units, not time
+        hours: [/\b(hours?|hrs|duration)\b/i],
+        amount: [/^(total|amount)\b/i, /\b(amount|total|balance)\b/i],
+        user: [/\b(user|timekeeper|attorney|responsible)\b/i],
+        billable: [/^billable\b/i]
+    },
+
+    /* Start showing totals for a page module's grid; returns a cleanup function */
+    attach(module) {
+        const grid = LinqlyExport.getGridFor(module.tableBody);
+        if (!grid) return () => {};
+
+        const footer = document.createElement('div');
+        footer.className = 'linqly-totals';
+        footer.setAttribute('role', 'status');
+        footer.setAttribute('data-linqly-ui', '');
+        footer.hidden = true;
+        grid.after(footer);
+
+        const update = () => this.render(footer, module, grid);
+        // Header "select all" checkboxes live outside the module's container
+        const handleChange = (event) => {
+            if (event.target.matches && event.target.matches('input[type="checkbox"]')) {
+                LinqlyUtils.notifySelectionChange();
+            }
+        };
+        document.addEventListener('linqly:selectionchange', update);
+        grid.addEventListener('change', handleChange);
+        update();
+
+        return () => {
+            document.removeEventListener('linqly:selectionchange', update);
+            grid.removeEventListener('change', handleChange);
+            footer.remove();
+        };
+    },
+
+    findColumn(columns, name) {
+        for (const pattern of this.columnPatterns[name]) {
+            const column = columns.find(candidate => pattern.test(candidate.title));
+            if (column) return column;
+        }
+        return null;
+    },
+
+    /* Amount of a cell: $1,234.50, (12.00) or a plain number */
+    parseAmount(text) {
+        const money = LinqlyXlsx.parseMoney(text);
+        if (money) return money;
+        const value = LinqlyXlsx.parseNumber(text);
+        return value === null ? null : { value, symbol: '' };
+    },
+
+    /* Currency symbol of a column from its cells, which carry the firm's currency; '$' when none does */
+    detectSymbol(texts) {
+        for (const text of texts) {
+            const money = LinqlyXlsx.parseMoney(text);
+            if (money) return money.symbol;
+        }
+        return '$';
+    },
+
+    /* A row is non-billable when its billable column says no, or Clio marks it "Non-billable" */
+    isBillable(row, cellText) {
+        if (cellText) {
+            return !/^(no|false|non-?billable)$/i.test(cellText);
+        }
+        return !/\bnon-?billable\b/i.test(row.textContent);
+    },
+
+    /* Sum the given rows: { count, hours, amount, symbol, hasBillable, billable, nonBillable, users } */
+    compute(rows, columns) {
+        const hoursColumn = this.findColumn(columns, 'hours');
+        const amountColumn = this.findColumn(columns, 'amount');
+        const userColumn = this.findColumn(columns, 'user');
+        const billableColumn = this.findColumn(columns, 'billable');
+        const cellText = (row, column) => {
+            const cells = Array.from(row.children).filter(cell => cell.tagName === 'TD');
+            return LinqlyExport.getCellText(cells[column.index]);
+        };
+
+        const totals = {
+            count: rows.length,
+            hours: hoursColumn ? 0 : null,
+            amount: amountColumn ? 0 : null,
+            symbol: amountColumn ? this.detectSymbol(rows.map(row => cellText(row, amountColumn))) : '$',
+            hasBillable: !!billableColumn,
+            billable: { count: 0, hours: 0, amount: 0 },
+            nonBillable: { count: 0, hours: 0, amount: 0 },
+            users: userColumn ? new Map() : null
+        };
+
+        rows.forEach(row => {
+            const hours = hoursColumn ? LinqlyXlsx.parseHours(cellText(row, hoursColumn)) || 0 : 0;
+            const money = amountColumn ? this.parseAmount(cellText(row, amountColumn)) : null;
+            const amount = money ? money.value : 0;
+
+            if (hoursColumn) totals.hours += hours;
+            if (amountColumn) totals.amount += amount;
+
+            const group = this.isBillable(row, billableColumn ? cellText(row, billableColumn) : null)
+                ? totals.billable
+                : totals.nonBillable;
+            group.count++;
+            group.hours += hours;
+            group.amount += amount;
+
+            if (userColumn) {
+                const user = cellText(row, userColumn) || 'Unassigned';
+                const entry = totals.users.get(user) || { count: 0, hours: 0 };
+                entry.count++;
+                entry.hours += hours;
+                totals.users.set(user, entry);
+            }
+        });
+
+        return totals;
+    },
+
+    formatHours(hours) {
+        return `${hours.toFixed(2)} h`;
+    },
+
+    formatAmount(amount, symbol) {
+        const text = Math.abs(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+        return `${amount < 0 ? '-' : ''}${symbol}${text}`;
+    },
+
+    /* One line per figure group, skipping what the grid has no column for */
+    render(footer, module, grid) {
+        const rows = LinqlySettings.get('linqly_selection_totals') ? module.getSelectedRows() : [];
+        if (rows.length === 0) {
+            footer.hidden = true;
+            return;
+        }
+
+        const totals = this.compute(rows, LinqlyExport.getColumns(grid));
+        const parts = [`${totals.count} selected`];
+        if (totals.hours !== null) parts.push(this.formatHours(totals.hours));
+        if (totals.amount !== null) parts.push(this.formatAmount(totals.amount, totals.symbol));
+
+        const describe = (label, group) => {
+            const figures = [`${group.count}`];
+            if (totals.hours !== null) figures.push(this.formatHours(group.hours));
+            if (totals.amount !== null) figures.push(this.formatAmount(group.amount, totals.symbol));
+            return `${label} ${figures.join(' · ')}`;
+        };
+        const lines = [parts.join(' · ')];
+        if (totals.hasBillable || totals.nonBillable.count > 0) {
+            lines.push(`${describe('Billable', totals.billable)} | ${describe('Non-billable', totals.nonBillable)}`);
+        }
+        if (totals.users && totals.users.size > 0) {
+            lines.push(Array.from(totals.users, ([user, entry]) =>
+                `${user}: ${entry.count}${totals.hours !== null ? ` (${this.formatHours(entry.hours)})` : ''}`
+            ).join(', '));
+        }
+
+        footer.replaceChildren(...lines.map(text => {
+            const line = document.createElement('div');
+            line.textContent = text;
+            return line;
+        }));
+        footer.hidden = false;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LinqlyTotals;
+} else {
+    window.LinqlyTotals = LinqlyTotals;
+}
@@ -5,10 +5,63 @@
 // Shared utility functions
 const LinqlyUtils = {
     
+    /* Clio record types that rows link to, in the order they appear in URLs */
+    recordTypes: ['matters', 'contacts', 'tasks', 'activities', 'bills', 'documents', 'communications', 'transactions', 'reports', 'leads'],
+
+    /* Work out which Clio page we are on; the deepest match wins so /matters/123/documents is 'documents' */
+    getPageType(href = window.location.href) {
+        let pageType = 'clio';
+        let lastIndex = -1;
+        this.recordTypes.forEach(type => {
+            const index = href.lastIndexOf(`/${type}`);
+            if (index > lastIndex) {
+                lastIndex = index;
+                pageType = type;
+            }
+        });
+        return pageType;
+    },
+
+    /* Stable identity of the record a row shows, e.g. 'matters:1234', taken from the row's own link.
+       Only links to the current page's record type count, so a task row's matter link is ignored. */
+    getRecordId(row, type = this.getPageType()) {
+        const link = this.getRecordLink(row, type);
+        return link ? `${type}:${this.recordLinkPattern(type).exec(link.getAttribute('href'))[1]}` : null;
+    },
+
+    /* The row's link to its own record, or null */
+    getRecordLink(row, type = this.getPageType()) {
+        if (!row || !this.recordTypes.includes(type)) return null;
+
+        const pattern = this.recordLinkPattern(type);
+        return Array.from(row.querySelectorAll('a[href]')).find(link => pattern.test(link.getAttribute('href'))) || null;
+    },
+
+    /* Where the matter's name is shown above its tabs */
+    matterNameSelector: '[data-test-id="matter-name"], .matter-name, .matter-header h1, .matter-details h1',
+
+    /* The matter a matter-level tab belongs to, e.g. { id: '123', name: '00123-Smith' } on
+       /matters/123/documents; null anywhere else. The name is '' when Clio has not rendered it. */
+    getMatterContext(href = window.location.href) {
+        const match = /\/matters\/(\d+)\/(contacts|tasks|activities|bills|documents|communications)(?:[/?#]|$)/.exec(href);
+        if (!match) return null;
+
+        const heading = document.querySelector(this.matterNameSelector);
+        return {
+            id: match[1],
+            name: heading ? heading.textContent.replace(/\s+/g, ' ').trim() : ''
+        };
+    },
+
+    recordLinkPattern(type) {
+        return new RegExp(`/${type}/(\\d+)(?:[/?#]|$)`);
+    },
+
     /* Helper method to get a stable UID for a row */
     getRowUid(row) {
-        // Try different UID attributes that Clio might use
-        return row.getAttribute('data-uid') || 
+        // The record ID survives paging, sorting and re-renders; Kendo's data-uid does not
+        return this.getRecordId(row) ||
+               row.getAttribute('data-uid') || 
                row.getAttribute('data-kendo-uid') || 
                row.getAttribute('id') || 
                row.getAttribute('data-row-index') ||
@@ -193,6 +246,47 @@ const LinqlyUtils = {
             existingStyle.remove();
             console.log('[Linqly] Removed text selection prevention CSS');
         }
+    },
+
+    /* Show a short-lived notice in the corner of the page (styled in styles.css) */
+    showNotice(message, duration = 3000) {
+        let notice = document.getElementById('linqly-notice');
+        if (!notice) {
+            notice = document.createElement('div');
+            notice.id = 'linqly-notice';
+            notice.setAttribute('role', 'status');
+            document.body.appendChild(notice);
+        }
+
+        notice.textContent = message;
+        notice.classList.add('visible');
+        console.log('[Linqly] Notice:', message);
+
+        clearTimeout(this.noticeTimeout);
+        this.noticeTimeout = setTimeout(() => {
+            notice.classList.remove('visible');
+        }, duration);
+    },
+
+    /* True while the user is typing, so single-key shortcuts stay out of the way */
+    isTypingTarget(element) {
+        return !!(element && element.closest &&
+            element.closest('input:not([type="checkbox"]):not([type="radio"]), textarea, select, [contenteditable=""], [contenteditable="true"]'));
+    },
+
+    /* True while one of Clio's modal dialogs is on screen */
+    isModalOpen() {
+        return Array.from(document.querySelectorAll('[role="dialog"], [aria-modal="true"], .modal.in, .modal.show, .k-window'))
+            .some(dialog => dialog.getClientRects().length > 0);
+    },
+
+    /* Tell listeners (e.g. the selection toolbar) that checkboxes may have changed.
+       Bursts such as a shift-click range are batched into one `linqly:selectionchange` event. */
+    notifySelectionChange() {
+        clearTimeout(this.selectionChangeTimeout);
+        this.selectionChangeTimeout = setTimeout(() => {
+            document.dispatchEvent(new CustomEvent('linqly:selectionchange'));
+        }, 50);
     }
 };
 
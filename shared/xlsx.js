@@ -0,0 +1,349 @@
+/* ========= XLSX Writer for Linqly Extension =========
+   Builds a minimal Excel workbook in the browser, no external service.
+   Column types are detected from the grid text: dates become Excel
+   dates, money and hours become numbers with a matching format, and
+   the header row is bold and frozen. The file is an uncompressed ZIP.
+===================================================================== */
+
+const LinqlyXlsx = {
+
+    /* Style indexes in styles.xml (cellXfs) */
+    styles: {
+        text: 0,
+        header: 1,
+        date: 2,
+        dateDayFirst: 2,
+        money: 3,
+        hours: 4,
+        number: 0,
+        moneyPlain: 5
+    },
+
+    monthNames: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'],
+
+    /* Column titles that hold a duration on time entries */
+    hoursTitlePattern: /\b(hours?|hrs|quantity|qty|duration)\b/i,
+
+    /* Parse a date cell (01/31/2026, 2026-01-31, Jan 31, 2026) into an Excel serial day, or null.
+       Slash dates are read as MM/DD/YYYY, or DD/MM/YYYY with dayFirst. */
+    parseDate(text, dayFirst = false) {
+        let year, month, day;
+        let match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(text);
+        if (match) {
+            [month, day, year] = [Number(match[1]), Number(match[2]), Number(match[3])];
+            if (dayFirst) [month, day] = [day, month];
+        } else if ((match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text))) {
+            [year, month, day] = [Number(match[1]), Number(match[2]), Number(match[3])];
+        } else if ((match = /^([A-Za-z]{3})[a-z]*\.? (\d{1,2}),? (\d{4})$/.exec(text))) {
+            month = this.monthNames.indexOf(match[1].toLowerCase()) + 1;
+            [day, year] = [Number(match[2]), Number(match[3])];
+        } else {
+            return null;
+        }
+
+        if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+        const time = Date.UTC(year, month - 1, day);
+        if (new Date(time).getUTCDate() !== day) return null;
+        // Excel counts days from 1899-12-30
+        return (time - Date.UTC(1899, 11, 30)) / 86400000;
+    },
+
+    /* Parse $1,234.50, -$12.00 or ($12.00) into { value, symbol }, or null */
+    parseMoney(text) {
+        const match = /^(-)?\(?(-)?([$€£])\s?(-)?([\d,]*\.?\d+)\)?$/.exec(text);
+        if (!match) return null;
+
+        const negative = !!(match[1] || match[2] || match[4] || /^\(.*\)$/.test(text));
+        const value = Number(match[5].replace(/,/g, ''));
+        if (Number.isNaN(value)) return null;
+        return { value: negative ? -value : value, symbol: match[3] };
+    },
+
+    /* Parse 1.5, 1:30 or 1h 30m into hours, or null */
+    parseHours(text) {
+        let match = /^(\d+):([0-5]\d)$/.exec(text);
+        if (match) return Number(match[1]) + Number(match[2]) / 60;
+
+        match = /^(?:(\d+(?:\.\d+)?)\s*h)?\s*(?:(\d+)\s*m)?$/i.exec(text);
+        if (match && (match[1] || match[2])) {
+            return Number(match[1] || 0) + Number(match[2] || 0) / 60;
+        }
+        return this.parseNumber(text);
+    },
+
+    /* Plain numbers; leading zeros (matter numbers, IDs) stay text */
+    parseNumber(text) {
+        if (!/^-?(\d{1,3}(,\d{3})+|\d+)(\.\d+)?$/.test(text) || /^-?0\d/.test(text)) return null;
+        return Number(text.replace(/,/g, ''));
+    },
+
+    /* Pick a type per column: every non-empty cell must parse for the column to be typed */
+    detectColumnTypes(data) {
+        return data.columns.map((title, index) => {
+            const values = data.rows.map(row => row[index]).filter(value => value !== '' && value !== undefined && value !== null);
+            if (values.length === 0) return 'text';
+
+            const dateType = this.detectDateType(values);
+            if (dateType) return dateType;
+
+            const money = values.map(value => this.parseMoney(value));
+            if (money.every(Boolean)) {
+                return money.every(amount => amount.symbol === '$') ? 'money' : 'moneyPlain';
+            }
+
+            if (this.hoursTitlePattern.test(title) && values.every(value => this.parseHours(value) !== null)) return 'hours';
+            if (values.every(value => this.parseNumber(value) !== null)) return 'number';
+            return 'text';
+        });
+    },
+
+    /* 'date' or 'dateDayFirst' when every value is a date, else null. The order of slash dates
+       comes from the column: a first field above 12 means DD/MM, a second one above 12 MM/DD.
+       A column with both is left as text rather than guessed. */
+    detectDateType(values) {
+        const slashDates = values.map(value => /^(\d{1,2})\/(\d{1,2})\/\d{4}$/.exec(value)).filter(Boolean);
+        const dayFirst = slashDates.some(match => Number(match[1]) > 12);
+        if (dayFirst && slashDates.some(match => Number(match[2]) > 12)) return null;
+
+        if (!values.every(value => this.parseDate(value, dayFirst) !== null)) return null;
+        return dayFirst ? 'dateDayFirst' : 'date';
+    },
+
+    /* Numeric value of a cell for its column type, or null to write it as text */
+    toNumber(text, type) {
+        switch (type) {
+            case 'date':
+                return this.parseDate(text);
+            case 'dateDayFirst':
+                return this.parseDate(text, true);
+            case 'money':
+            case 'moneyPlain': {
+                const amount = this.parseMoney(text);
+                return amount ? amount.value : null;
+            }
+            case 'hours':
+                return this.parseHours(text);
+            case 'number':
+                return this.parseNumber(text);
+            default:
+                return null;
+        }
+    },
+
+    escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            // Control characters are not allowed in XML
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+    },
+
+    /* A1-style column letters: 0 -> A, 26 -> AA */
+    columnName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+        }
+        return name;
+    },
+
+    inlineString(ref, text, style) {
+        const styleAttr = style ? ` s="${style}"` : '';
+        return `<c r="${ref}" t="inlineStr"${styleAttr}><is><t xml:space="preserve">${this.escapeXml(text)}</t></is></c>`;
+    },
+
+    buildSheet(data) {
+        const types = this.detectColumnTypes(data);
+
+        const header = data.columns.map((title, col) =>
+            this.inlineString(`${this.columnName(col)}1`, title, this.styles.header)
+        ).join('');
+
+        const body = data.rows.map((values, rowIndex) => {
+            const r = rowIndex + 2;
+            const cells = values.map((value, col) => {
+                if (value === '' || value === undefined || value === null) return '';
+                const ref = `${this.columnName(col)}${r}`;
+                const number = this.toNumber(value, types[col]);
+                if (number === null) return this.inlineString(ref, value, this.styles.text);
+                const style = this.styles[types[col]];
+                return `<c r="${ref}"${style ? ` s="${style}"` : ''}><v>${number}</v></c>`;
+            }).join('');
+            return `<row r="${r}">${cells}</row>`;
+        }).join('');
+
+        const widths = data.columns.map((title, col) => {
+            const longest = Math.max(title.length, ...data.rows.map(row => String(row[col] || '').length));
+            return `<col min="${col + 1}" max="${col + 1}" width="${Math.min(Math.max(longest + 2, 8), 50)}" customWidth="1"/>`;
+        }).join('');
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<sheetViews><sheetView workbookViewId="0">' +
+            '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+            '</sheetView></sheetViews>' +
+            (widths ? `<cols>${widths}</cols>` : '') +
+            `<sheetData><row r="1">${header}</row>${body}</sheetData>` +
+            '</worksheet>';
+    },
+
+    /* dateFormat replaces Excel's built-in short date (numFmt 14) when given, e.g. 'yyyy-mm-dd' */
+    buildStyles(dateFormat) {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            `<numFmts count="${dateFormat ? 4 : 3}">` +
+            '<numFmt numFmtId="164" formatCode="&quot;$&quot;#,##0.00"/>' +
+            '<numFmt numFmtId="165" formatCode="0.00"/>' +
+            '<numFmt numFmtId="166" formatCode="#,##0.00"/>' +
+            (dateFormat ? `<numFmt numFmtId="167" formatCode="${this.escapeXml(dateFormat)}"/>` : '') +
+            '</numFmts>' +
+            '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+            '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+            '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+            '<cellXfs count="6">' +
+            '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+            '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+            `<xf numFmtId="${dateFormat ? 167 : 14}" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>` +
+            '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+            '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+            '<xf numFmtId="166" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+            '</cellXfs>' +
+            '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+            '</styleSheet>';
+    },
+
+    /* Excel sheet names: at most 31 characters, none of : \ / ? * [ ] */
+    sheetName(name) {
+        return (name || 'Sheet1').replace(/[:\\/?*[\]]/g, ' ').slice(0, 31) || 'Sheet1';
+    },
+
+    /* Build the workbook for { columns, rows } as a Blob; options.dateFormat as for buildStyles */
+    toBlob(data, sheetName, options = {}) {
+        const files = {
+            '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                '</Types>',
+            '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>',
+            'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                `<sheets><sheet name="${this.escapeXml(this.sheetName(sheetName))}" sheetId="1" r:id="rId1"/></sheets>` +
+                '</workbook>',
+            'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+                '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+                '</Relationships>',
+            'xl/styles.xml': this.buildStyles(options.dateFormat),
+            'xl/worksheets/sheet1.xml': this.buildSheet(data)
+        };
+
+        return new Blob([this.zip(files)], {
+            type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        });
+    },
+
+    /* ---- Minimal ZIP writer (stored entries, no compression) ---- */
+
+    crcTable: null,
+
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    },
+
+    /* Pack { path: text } into a ZIP archive */
+    zip(files) {
+        const encoder = new TextEncoder();
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+        // DOS date for 1980-01-01, the earliest a ZIP can hold
+        const dosDate = 0x0021;
+
+        Object.keys(files).forEach(path => {
+            const name = encoder.encode(path);
+            const data = encoder.encode(files[path]);
+            const crc = this.crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true); // UTF-8 names
+            local.setUint16(8, 0, true); // stored
+            local.setUint16(10, 0, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+            localParts.push(new Uint8Array(local.buffer), name, data);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014B50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, 0, true);
+            central.setUint16(14, dosDate, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+            centralParts.push(new Uint8Array(central.buffer), name);
+
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, Object.keys(files).length, true);
+        end.setUint16(10, Object.keys(files).length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            output.set(part, position);
+            position += part.length;
+        });
+        return output;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LinqlyXlsx;
+} else {
+    window.LinqlyXlsx = LinqlyXlsx;
+}